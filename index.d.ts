@@ -3,6 +3,7 @@
 /// <reference types="node" lib="esnext" />
 
 import * as fs from 'fs';
+import { EventEmitter } from 'events';
 import { Readable } from 'stream';
 
 export interface EntryInfo {
@@ -19,24 +20,125 @@ export interface EntryInfo {
    */
   basename: string;
   /**
-   * built in [stat object](https://nodejs.org/api/fs.html#fs_class_fs_stats) - only with `alwaysStat: true`
+   * built in [stat object](https://nodejs.org/api/fs.html#fs_class_fs_stats) - only with `alwaysStat: true`,
+   * or when checked by a predicate, e.g., `minSize`
    */
   stats?: fs.Stats;
   /**
    * built-in [dir entry object](https://nodejs.org/api/fs.html#fs_class_fs_dirent) - only with `alwaysStat: false`
    */
   dirent?: fs.Dirent;
+  /**
+   * root directory of the entry, as given or matched by a glob - only with an array of roots
+   */
+  root?: string;
+  /**
+   * hex digest of the file content - only with `hash` option
+   */
+  hash?: string;
+  /**
+   * full path of the archive containing the entry - only with `archives` option
+   */
+  archive?: string;
+  /**
+   * target of the symlink - only with `symlinks: 'report'`
+   */
+  target?: string;
+  /**
+   * `true` for directories on another device than the root - only with `oneFileSystem` and `includeMountPoints` options
+   */
+  mountPoint?: boolean;
+  /**
+   * total size of the files in the directory and its descendants - only with `aggregate` option
+   */
+  totalSize?: number;
+  /**
+   * count of files in the directory and its descendants - only with `aggregate` option
+   */
+  fileCount?: number;
+  /**
+   * count of directories in the directory and its descendants - only with `aggregate` option
+   */
+  dirCount?: number;
+}
+
+export interface HashOptions {
+  /**
+   * Name of a `crypto` hash algorithm.
+   * Default is `'sha256'`.
+   */
+  algorithm?: string;
+  /**
+   * Files larger than it (in bytes) are not hashed.
+   * Default is `Infinity`.
+   */
+  maxSize?: number;
+  /**
+   * Digests keyed by full path, size and mtime (e.g., a `Map`), files found in it are not read again.
+   */
+  cache?: {
+    get(key: string): string | undefined;
+    set(key: string, hash: string): unknown;
+  } | null;
+}
+
+/**
+ * Subset of the `fs` module used by readdirp, e.g., `createFsFromVolume()` of [memfs](https://github.com/streamich/memfs).
+ * `readdir` has to support the `withFileTypes` option, unless `alwaysStat` is set.
+ */
+export interface ReaddirpFileSystem {
+  promises: {
+    readdir(path: string, options: { encoding: 'utf8'; withFileTypes: boolean }): Promise<any[]>;
+    stat(path: string, options?: { bigint?: boolean }): Promise<any>;
+    lstat(path: string, options?: { bigint?: boolean }): Promise<any>;
+    realpath(path: string): Promise<any>;
+    /**
+     * Only with `respectIgnoreFiles` option.
+     */
+    readFile(path: string, encoding: 'utf8'): Promise<any>;
+    /**
+     * Only with `symlinks: 'report'`.
+     */
+    readlink?(path: string): Promise<any>;
+    /**
+     * Only with `archives` option.
+     */
+    open?(path: string, flags: 'r'): Promise<{
+      read(buffer: Buffer, offset: number, length: number, position: number): Promise<{ bytesRead: number }>;
+      stat(): Promise<{ size: number }>;
+      close(): Promise<void>;
+    }>;
+  };
+  /**
+   * Only with the sync API.
+   */
+  readdirSync?(path: string, options: { encoding: 'utf8'; withFileTypes: boolean }): any[];
+  statSync?(path: string, options?: { bigint?: boolean }): any;
+  lstatSync?(path: string, options?: { bigint?: boolean }): any;
+  realpathSync?(path: string): any;
+  readFileSync?(path: string, encoding: 'utf8'): any;
+  readlinkSync?(path: string): any;
+  /**
+   * Only with `hash` option, or `archives` option for `'tgz'`.
+   */
+  createReadStream?(path: string): NodeJS.ReadableStream;
+  /**
+   * Only with `readdirp.watch()`.
+   */
+  watch?(path: string, listener: (eventType: string, filename: string) => void): EventEmitter & { close(): void };
 }
 
 export interface ReaddirpOptions {
   /**
-   * Path in which to start reading and recursing into subdirectories.
+   * Path in which to start reading and recursing into subdirectories,
+   * or an array of paths and globs matching directories, e.g., `['src', 'packages/*\/lib']`.
    */
-  root?: string;
+  root?: string | string[];
   /**
    * Filter to include or exclude files. A `Function`, Glob string or Array of glob strings.
    *
-   * - **Function**: a function that takes an entry info as a parameter and returns true to include or false to exclude the entry
+   * - **Function**: a function that takes an entry info as a parameter and returns true to include or false to exclude the entry.
+   *     It may also return a Promise, which is awaited (see `filterConcurrency`).
    * - **Glob string**: a string (e.g., `*.js`) which is matched using [picomatch](https://github.com/micromatch/picomatch),
    *     so go there for more information.
    *     Globstars (`**`) are also supported, but it is recommended to set `filterEntryKey` to `'path'` or `'fullPath'`.
@@ -46,12 +148,12 @@ export interface ReaddirpOptions {
    *     `['!.git', '!node_modules']` includes all directories except the '.git' and 'node_modules'.
    * - Directories that do not pass a filter will not be recursed into.
    */
-  fileFilter?: string | string[] | ((entry: EntryInfo) => boolean);
+  fileFilter?: string | string[] | ((entry: EntryInfo) => boolean | PromiseLike<boolean>);
   /**
    * Filter to include/exclude directories found and to recurse into.
    * Directories that do not pass a filter will not be recursed into.
    */
-  directoryFilter?: string | string[] | ((entry: EntryInfo) => boolean);
+  directoryFilter?: string | string[] | ((entry: EntryInfo) => boolean | PromiseLike<boolean>);
   /**
    * When `fileFilter` and `directoryFilter` is glob string,
    * use which entry value (`'basename'` or `'path'` or `'fullPath'`) to test.
@@ -81,22 +183,425 @@ export interface ReaddirpOptions {
    */
   alwaysStat?: boolean;
   /**
-   * Normal flow error includes 'ENOENT', 'EPERM', 'EACCES', 'ELOOP', 'READDIRP_RECURSIVE_ERROR', will emit as 'warn' event.
+   * Normal flow error includes 'ENOENT', 'EPERM', 'EACCES', 'ELOOP', 'READDIRP_RECURSIVE_ERROR', 'READDIRP_ARCHIVE_ERROR',
+   * will emit as 'warn' event.
    * Default is `true`
    * Setting it to `false` will emit these error as 'error' event
    */
   suppressNormalFlowError?: boolean;
+  /**
+   * Names of gitignore-style files (e.g., `['.gitignore', '.ignore']`) to load from every directory read.
+   * Their rules apply to that directory and everything below it, deeper files override the outer ones.
+   * Ignored directories are not recursed into.
+   * Default is `[]`.
+   */
+  respectIgnoreFiles?: string[];
+  /**
+   * Maximum number of entries resolved at once, including stats and async filters.
+   * Entries are still emitted in order.
+   * Default is `64`.
+   */
+  filterConcurrency?: number;
+  /**
+   * Traversal order: `'dfs-pre'` (a directory, then its descendants), `'dfs-post'` (the descendants, then the directory)
+   * or `'bfs'` (level by level).
+   * When not set, all entries of a directory are emitted before the last found subdirectory is read.
+   */
+  order?: 'dfs-pre' | 'dfs-post' | 'bfs';
+  /**
+   * Sorts the entries of each directory, by a comparator of two basenames,
+   * `'name'` (by code unit) or `'natural'` (numbers compared by value, e.g., `file2` before `file10`).
+   * Default is `null`, readdir order is kept.
+   */
+  sort?: 'name' | 'natural' | ((a: string, b: string) => number);
+  /**
+   * Maximum number of fs operations (readdir, stat, realpath, ...) in flight at once.
+   * Operations failing with `EMFILE` or `ENFILE` are queued and retried instead of failing.
+   * Default is `Infinity`.
+   */
+  concurrency?: number;
+  /**
+   * Aborts the walk: no more fs operations are started and the stream is destroyed with an `AbortError`,
+   * which rejects the promise API and is thrown by `for await` loops.
+   */
+  signal?: AbortSignal | null;
+  /**
+   * Adds the hex digest of the content as `hash` to file entries,
+   * `true` for `'sha256'`, the name of a `crypto` hash algorithm or hash options.
+   * Files are read within `filterConcurrency` and `concurrency` limits.
+   * Default is `false`.
+   */
+  hash?: boolean | string | HashOptions;
+  /**
+   * File system to walk instead of the disk, shaped like the `fs` module.
+   * Default is `null`, the `fs` module is used.
+   */
+  fs?: ReaddirpFileSystem | null;
+  /**
+   * Formats of archives to walk into as if they were directories, `'tgz'` stands for `.tgz` and `.tar.gz`.
+   * Members are emitted with paths like `dist.zip/lib/a.js` and an `archive` field.
+   * An archive is walked when it passes `directoryFilter`, and emitted as a file when it passes `fileFilter`.
+   * Default is `[]`.
+   */
+  archives?: Array<'zip' | 'tar' | 'tgz'>;
+  /**
+   * `'follow'` (default) to walk symlinks, `'skip'` to ignore them,
+   * or `'report'` to emit them along with files, with their `target`, without following them.
+   * Directories leading back to one of their ancestors (by device and inode) are not walked and emit a warning.
+   */
+  symlinks?: 'follow' | 'skip' | 'report';
+  /**
+   * Doesn't walk nor emit directories on another device than the root, symlinked or not, like `find -xdev`.
+   * Default is `false`.
+   */
+  oneFileSystem?: boolean;
+  /**
+   * With `oneFileSystem`, emits the directories on another device with `mountPoint: true`, without walking them.
+   * Default is `false`.
+   */
+  includeMountPoints?: boolean;
+  /**
+   * Adds `totalSize`, `fileCount` and `dirCount` of the descendants passing the filters to directory entries,
+   * once all of them were processed (see `directoryEnd` event, or `order: 'dfs-post'`).
+   * Sets `alwaysStat`. Default is `false`.
+   */
+  aggregate?: boolean;
+  /**
+   * Only emits entries of at least this size in bytes. Directories are walked anyway.
+   */
+  minSize?: number | null;
+  /**
+   * Only emits entries of at most this size in bytes. Directories are walked anyway.
+   */
+  maxSize?: number | null;
+  /**
+   * Only emits entries whose `timeField` is after this date, or timestamp in milliseconds.
+   */
+  newerThan?: Date | number | null;
+  /**
+   * Only emits entries whose `timeField` is before this date, or timestamp in milliseconds.
+   */
+  olderThan?: Date | number | null;
+  /**
+   * Time compared by `newerThan` and `olderThan`. Default is `'mtime'`.
+   */
+  timeField?: 'mtime' | 'ctime' | 'birthtime';
+  /**
+   * Only emits entries with all the bits of this mask set, e.g., `0o111` for executables,
+   * or with all the bits of `all` and any of `any`, e.g., `{ any: 0o002 }` for world-writable ones.
+   */
+  mode?: number | { all?: number; any?: number } | null;
+  /**
+   * Only emits entries owned by this user id.
+   */
+  uid?: number | null;
+  /**
+   * Only emits entries owned by this group id.
+   */
+  gid?: number | null;
+  /**
+   * `true` only emits empty files and directories, `false` only non-empty ones. Directories are walked anyway.
+   */
+  empty?: boolean | null;
+  /**
+   * Decides what to do with an error: `'skip'` it with a `warn` event, `'abort'` the stream with it,
+   * or `'retry'` the operation after a growing delay (skipped after 5 attempts, or if it can't be retried, e.g., a cycle).
+   * Returning nothing keeps the default, set by `suppressNormalFlowError`. Not supported by the sync API.
+   */
+  onError?: ((error: NodeJS.ErrnoException, context: ErrorContext) => ErrorAction | undefined | void) | null;
+  /**
+   * Minimum milliseconds between two `progress` events. Default is `100`.
+   */
+  progressInterval?: number;
+  /**
+   * Cursor returned by `stream.checkpoint()`, to continue a walk of the same root with the same options.
+   * Not supported with multiple roots, `archives`, `aggregate` or `workers`, nor by the sync API.
+   */
+  resumeFrom?: Cursor | null;
+  /**
+   * Cache file, or directory of a `readdirp-cache.json` file, keeping the listings of the directories walked.
+   * They are reused while the directories keep the same mtime and ctime, their entries are stated anyway.
+   * Not supported by the sync API.
+   */
+  cache?: string | null;
+  /**
+   * Count of worker threads exploring the directories, running all but the function filters. Entries keep
+   * the same order, with plain `stats` and `dirent`. Not supported by `readdirp.watch` nor the sync API.
+   */
+  workers?: number;
+  /**
+   * Reads the directories with `fs.opendir`, as the stream is read, instead of listing them whole.
+   * Entries come in the order of the file system. Not supported with `sort` or `cache`, nor by the sync API.
+   */
+  opendir?: boolean;
 }
 
-export class ReaddirpStream extends Readable implements AsyncIterable<EntryInfo>, PromiseLike<EntryInfo[]> {
+export interface CursorDirectory {
+  /**
+   * path to the directory (relative to root)
+   */
+  path: string;
+  /**
+   * count of its entries already handled, in the order of its listing
+   */
+  position: number;
+  /**
+   * whether the directory itself is still to be emitted, with `order: 'dfs-post'`
+   */
+  postEntry: boolean;
+}
+
+export interface Cursor {
+  version: 1;
+  /**
+   * full path of the root
+   */
+  root: string;
+  order: 'dfs-pre' | 'dfs-post' | 'bfs' | null;
+  /**
+   * paths of the entries pushed to the stream but not read yet, processed again first
+   */
+  entries: string[];
+  /**
+   * directories still to be walked
+   */
+  directories: CursorDirectory[];
+}
+
+export interface ProgressStats {
+  /**
+   * directories whose reading started, roots included
+   */
+  directoriesQueued: number;
+  directoriesRead: number;
+  /**
+   * entries read from the directories, before any filter
+   */
+  entriesSeen: number;
+  entriesEmitted: number;
+  /**
+   * entries rejected by `fileFilter`, `directoryFilter`, ignore files or a predicate - not the ones hidden by `type`
+   */
+  entriesFiltered: number;
+  /**
+   * sum of the sizes of the files seen with `stats`
+   */
+  bytesSeen: number;
+  elapsedMs: number;
+  /**
+   * full path of the directory whose entries are being processed - `null` once the stream ended
+   */
+  currentDirectory: string | null;
+}
+
+export type ErrorOperation = 'readdir' | 'stat' | 'lstat' | 'realpath' | 'readlink' | 'readFile' | 'hash' | 'readArchive' | 'writeFile' | 'opendir' | 'walk';
+
+export type ErrorAction = 'skip' | 'abort' | 'retry';
+
+export interface ErrorContext {
+  /**
+   * full path of the file/directory the operation failed on
+   */
+  path: string;
+  /**
+   * fs operation which failed, `'walk'` for a cycle of symlinks
+   */
+  operation: ErrorOperation;
+  /**
+   * depth of the path, `0` for the root - `null` when unknown
+   */
+  depth: number | null;
+  /**
+   * count of attempts of the operation, starting at `1`
+   */
+  attempt: number;
+}
+
+export interface ErrorRecord {
+  error: Error;
+  path: string;
+  operation: ErrorOperation;
+  depth: number | null;
+}
+
+/**
+ * Entries the stream resolves to, with the errors skipped.
+ */
+export type ReaddirpResult = EntryInfo[] & { readonly errors: ErrorRecord[] };
+
+export class ReaddirpStream extends Readable implements AsyncIterable<EntryInfo>, PromiseLike<ReaddirpResult> {
+  /**
+   * Errors skipped so far, with a `warn` event each.
+   */
+  readonly errors: ErrorRecord[];
+  /**
+   * Counters of the walk so far, also emitted, throttled by `progressInterval`, as `progress` events.
+   */
+  readonly stats: ProgressStats;
+  /**
+   * JSON-serializable cursor of the walk, after the entries read so far, for the `resumeFrom` option.
+   */
+  checkpoint(): Cursor;
   read(): EntryInfo;
   [Symbol.asyncIterator](): AsyncIterableIterator<EntryInfo>;
-  then<T = EntryInfo[], U = never>(onfulfilled?: ((value: EntryInfo[]) => T | PromiseLike<T>) | null, onrejected?: ((reason: any) => U | PromiseLike<U>) | null): PromiseLike<T | U>;
+  then<T = ReaddirpResult, U = never>(onfulfilled?: ((value: ReaddirpResult) => T | PromiseLike<T>) | null, onrejected?: ((reason: any) => U | PromiseLike<U>) | null): PromiseLike<T | U>;
+  /**
+   * `directoryEnd` is emitted once all the descendants of a directory were processed, last for the root (`path: ''`).
+   */
+  on(event: 'directoryEnd', listener: (entry: EntryInfo) => void): this;
+  /**
+   * `progress` is emitted at most once per `progressInterval`, and once more before `end`.
+   */
+  on(event: 'progress', listener: (stats: ProgressStats) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
 }
 
 /**
+ *
+ * @param root path in which to start reading and recursing into subdirectories, or an array of paths and globs matching directories.
+ * @param options
+ */
+export function readdirp(root: string | string[], options?: ReaddirpOptions): ReaddirpStream;
+
+export type WatchEventName = 'add' | 'addDir' | 'change' | 'unlink' | 'unlinkDir';
+
+export interface ReaddirpWatcher extends EventEmitter {
+  readonly closed: boolean;
+  /**
+   * Stops watching and destroys the underlying stream.
+   */
+  close(): void;
+  on(event: 'data' | WatchEventName, listener: (entry: EntryInfo) => void): this;
+  on(event: 'warn' | 'error', listener: (error: Error) => void): this;
+  on(event: 'ready' | 'close', listener: () => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export interface SnapshotEntry {
+  /**
+   * posix path to the file/directory (relative to given root, and starting with it for multiple roots)
+   */
+  path: string;
+  type: 'file' | 'directory' | 'symlink' | 'other';
+  size: number;
+  mtimeMs: number;
+  /**
+   * hex digest of the file content - only with `hash` option
+   */
+  hash?: string;
+}
+
+export interface Snapshot {
+  version: number;
+  entries: SnapshotEntry[];
+}
+
+export interface DiffRecord {
+  change: 'added' | 'removed' | 'modified' | 'typeChanged';
+  /**
+   * posix path to the file/directory (relative to given root, and starting with it for multiple roots)
+   */
+  path: string;
+  /**
+   * entry of the snapshot - not with `'added'`
+   */
+  before?: SnapshotEntry;
+  /**
+   * entry read again - not with `'removed'`
+   */
+  after?: SnapshotEntry;
+}
+
+export interface TreeNode {
+  /**
+   * name of the file/directory, or of the root itself
+   */
+  name: string;
+  /**
+   * path to the file/directory (relative to given root), `''` for the root
+   */
+  path: string;
+  type: 'file' | 'directory' | 'symlink' | 'other';
+  /**
+   * only with `alwaysStat` or `lstat`
+   */
+  stats?: fs.Stats;
+  /**
+   * entries found in a directory walked, in the order of the stream, or members of an archive -
+   * not for directories left unwalked, e.g., beyond `depth` or rejected by `directoryFilter`
+   */
+  children?: TreeNode[];
+}
+
+export interface TreeOptions extends ReaddirpOptions {
+  /**
+   * Drops the directories walked without any entry left in them, once their own empty directories are dropped.
+   * Directories not walked are kept, as are directories matching `type`, e.g., `'directories'` or `'all'`.
+   */
+  pruneEmpty?: boolean;
+}
+
+export namespace readdirp {
+  /**
+   * Emits the entries of the initial scan as `data` events, then `ready`,
+   * then `add`, `addDir`, `change`, `unlink` and `unlinkDir` events for the changes under the root.
+   * Changes go through the same filters, `depth` and `type` as the initial scan.
+   *
+   * @param root path in which to start reading and recursing into subdirectories, or an array of paths and globs matching directories.
+   * @param options
+   */
+  function watch(root: string | string[], options?: ReaddirpOptions): ReaddirpWatcher;
+
+  /**
+   * Saves the entries in given root as a JSON-serializable snapshot, with their type, size, mtime and optionally hash.
+   *
+   * @param root path in which to start reading and recursing into subdirectories, or an array of paths and globs matching directories.
+   * @param options
+   */
+  function snapshot(root: string | string[], options?: ReaddirpOptions): Promise<Snapshot>;
+
+  /**
+   * Reads given root again and streams the differences with a snapshot.
+   * Files are modified when their size, mtime or hash (if both have one) differ.
+   *
+   * @param snapshot snapshot created by `readdirp.snapshot`.
+   * @param root path in which to start reading and recursing into subdirectories, or an array of paths and globs matching directories.
+   * @param options options used to create the snapshot.
+   */
+  function diff(snapshot: Snapshot, root: string | string[], options?: ReaddirpOptions): Readable & AsyncIterable<DiffRecord>;
+
+  /**
+   * Reads given root into a tree of nodes, directories having the entries found in them as children.
+   * Directories holding the files are kept with `type: 'files'`.
+   *
+   * @param root path in which to start reading and recursing into subdirectories.
+   * @param options
+   */
+  function tree(root: string, options?: TreeOptions): Promise<TreeNode>;
+
+  /**
+   * Streams the entries matching glob patterns, e.g., `src/**\/*.{ts,tsx}` and `!**\/__snapshots__/**`.
+   * Only the static base of the patterns is walked, and in it only the directories which may contain a match.
+   * Directories matching a negated pattern ending with `/**` are not walked.
+   *
+   * @param patterns posix patterns relative to the `root` option, the current directory by default.
+   * @param options
+   */
+  function glob(patterns: string | string[], options?: ReaddirpOptions & { root?: string }): ReaddirpStream;
+}
+
+/**
+ * Synchronous version of `readdirp`, returns the same entries as awaiting the stream.
+ * Normal flow errors are skipped silently unless `suppressNormalFlowError` is `false`.
  *
  * @param root path in which to start reading and recursing into subdirectories.
  * @param options
  */
-export function readdirp(root: string, options?: ReaddirpOptions): ReaddirpStream;
+export function readdirpSync(root: string, options?: ReaddirpOptions): EntryInfo[];
+
+export namespace readdirpSync {
+  /**
+   * Generator form of `readdirpSync`, yields entries one by one.
+   */
+  function iterate(root: string, options?: ReaddirpOptions): Generator<EntryInfo, void, undefined>;
+}
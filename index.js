@@ -1,13 +1,53 @@
 import * as fs from 'fs';
-import {
-  readdir,
-  stat,
-  lstat,
-  realpath
-} from 'fs/promises';
 import { Readable } from 'stream';
 import * as Path from 'path';
-import picomatch from 'picomatch';
+import {
+  FILE_TYPE,
+  isNormalFlowError,
+  createRecursiveError,
+  createAbortError,
+  ERROR_SKIP,
+  ERROR_ABORT,
+  ERROR_RETRY,
+  ALL_ERROR_ACTIONS,
+  MAX_RETRY_ATTEMPTS,
+  RETRY_DELAY_MS,
+  delay,
+  getNumberOption,
+  DIR_EXPLORED_EVENT,
+  ENTRY_PROCESSED_EVENT,
+  getFileId,
+  SYMLINKS_SKIP,
+  SYMLINKS_REPORT,
+  toPosixPath,
+  setupWalker,
+  sortFiles,
+  validateArguments
+} from './lib/utils.js';
+import { parseIgnoreFile, isIgnoredEntry } from './lib/ignore.js';
+import { ReaddirpSync } from './lib/sync.js';
+import { createLimiter } from './lib/limiter.js';
+import { ReaddirpWatcher } from './lib/watcher.js';
+import { SNAPSHOT_VERSION, createSnapshot, diffSnapshot } from './lib/snapshot.js';
+import { createTree, getTreeWalkType } from './lib/tree.js';
+import { normalizeHash, getHashCacheKey, hashFile } from './lib/hash.js';
+import { getArchiveFormat, readArchive } from './lib/archive.js';
+import { expandRoots } from './lib/roots.js';
+import { compileGlob } from './lib/glob.js';
+import {
+  CURSOR_VERSION,
+  getUnsupportedReason,
+  validateCursor,
+  getParentPath,
+  getEntriesDepth
+} from './lib/cursor.js';
+import {
+  ScanCache,
+  CACHE_KIND_DIRENT,
+  CACHE_KIND_NAME
+} from './lib/cache.js';
+import { WorkerPool, getWorkersUnsupportedReason, getErrorOperation } from './lib/pool.js';
+import { fromTransferableEntry, fromTransferableError } from './lib/transfer.js';
 
 /**
  * @typedef {Object} EntryInfo
@@ -18,53 +58,6 @@ import picomatch from 'picomatch';
  * @property {String} basename
  */
 
-const BANG = '!';
-const RECURSIVE_ERROR_CODE = 'READDIRP_RECURSIVE_ERROR';
-const NORMAL_FLOW_ERRORS = ['ENOENT', 'EPERM', 'EACCES', 'ELOOP', RECURSIVE_ERROR_CODE];
-const FILE_TYPE = 'files';
-const DIR_TYPE = 'directories';
-const FILE_DIR_TYPE = 'files_directories';
-const EVERYTHING_TYPE = 'all';
-const ALL_TYPES = [FILE_TYPE, DIR_TYPE, FILE_DIR_TYPE, EVERYTHING_TYPE];
-
-const isNormalFlowError = error => NORMAL_FLOW_ERRORS.includes(error.code);
-const [maj, min] = process.versions.node.split('.').slice(0, 2).map(n => Number.parseInt(n));
-const wantBigintFsStats = process.platform === 'win32' && (maj > 10 || (maj === 10 && min >= 5));
-
-const normalizeFilter = (filter, filterEntryKey) => {
-  if (typeof filter === 'function') {
-    return filter;
-  }
-
-  if (typeof filter === 'string') {
-    const glob = picomatch(filter.trim());
-    return entry => glob(entry[filterEntryKey]);
-  }
-
-  if (!Array.isArray(filter)) {
-    throw new Error('Filter only support `Function`, `Glob string` and `Array of glob strings`');
-  }
-
-  const positive = [];
-  const negative = [];
-  for (const item of filter) {
-    const trimmed = item.trim();
-    if (trimmed.charAt(0) === BANG) {
-      negative.push(picomatch(trimmed.substring(1)));
-    } else {
-      positive.push(picomatch(trimmed));
-    }
-  }
-
-  if (negative.length > 0) {
-    if (positive.length > 0) {
-      return entry => positive.some(f => f(entry[filterEntryKey])) && !negative.some(f => f(entry[filterEntryKey]));
-    }
-    return entry => !negative.some(f => f(entry[filterEntryKey]));
-  }
-  return entry => positive.some(f => f(entry[filterEntryKey]));
-};
-
 export class ReaddirpStream extends Readable {
   static get defaultOptions() {
     return {
@@ -76,7 +69,35 @@ export class ReaddirpStream extends Readable {
       lstat: false,
       depth: 0x80000000,
       alwaysStat: false,
-      suppressNormalFlowError: true
+      suppressNormalFlowError: true,
+      respectIgnoreFiles: [],
+      filterConcurrency: 64,
+      order: null,
+      sort: null,
+      concurrency: Infinity,
+      signal: null,
+      hash: false,
+      fs: null,
+      archives: [],
+      symlinks: 'follow',
+      oneFileSystem: false,
+      includeMountPoints: false,
+      aggregate: false,
+      minSize: null,
+      maxSize: null,
+      newerThan: null,
+      olderThan: null,
+      timeField: 'mtime',
+      mode: null,
+      uid: null,
+      gid: null,
+      empty: null,
+      onError: null,
+      progressInterval: 100,
+      resumeFrom: null,
+      cache: null,
+      workers: 0,
+      opendir: false
     };
   }
 
@@ -86,43 +107,219 @@ export class ReaddirpStream extends Readable {
   constructor(options = {}) {
     super({
       objectMode: true,
-      autoDestroy: true,
+      // Kept alive after the end by the watcher, to explore the changes.
+      autoDestroy: options.autoDestroy !== false,
       highWaterMark: options.highWaterMark || 4096
     });
-    options = { ...ReaddirpStream.defaultOptions, ...options };
+    const defaults = ReaddirpStream.defaultOptions;
+    options = { ...defaults, ...options };
+    if (options.aggregate) {
+      // Sizes of the files are needed.
+      options.alwaysStat = true;
+    }
 
-    this._fileFilter = normalizeFilter(options.fileFilter, options.filterEntryKey);
-    this._directoryFilter = normalizeFilter(options.directoryFilter, options.filterEntryKey);
+    this._fs = options.fs || fs;
+    const fsp = this._fs.promises;
+    setupWalker(this, options, { stat: fsp.stat.bind(fsp), lstat: fsp.lstat.bind(fsp) });
+    this._filterConcurrency = Math.max(1, getNumberOption(options.filterConcurrency, defaults.filterConcurrency));
+    this._hash = normalizeHash(options.hash);
+    this._aggregate = Boolean(options.aggregate);
+    // Patterns of `readdirp.glob`.
+    this._glob = options.glob ? compileGlob(options.glob) : null;
 
-    const statMethod = options.lstat ? lstat : stat;
-    // Use bigint stats if it's windows and stat() supports options (node 10+).
-    if (wantBigintFsStats) {
-      this._stat = path => statMethod(path, { bigint: true });
-    } else {
-      this._stat = statMethod;
+    // Every fs operation goes through the limiter, which also retries them on EMFILE and ENFILE.
+    // Operations still queued once the stream is destroyed are not started.
+    const limit = createLimiter(Math.max(1, getNumberOption(options.concurrency, defaults.concurrency)));
+    this._limit = fn => limit(() => (this.destroyed ? Promise.reject(createAbortError()) : fn()));
+    const { _stat: statMethod, _statTarget: statTarget } = this;
+    const statOperation = this._lstat ? 'lstat' : 'stat';
+    this._stat = (path, depth = null) => this._run(statOperation, path, depth, () => statMethod(path));
+    this._statTarget = (path, depth = null) => this._run('stat', path, depth, () => statTarget(path));
+
+    // Directories explored by worker threads, function filters being run here.
+    this._workerPool = null;
+    if (options.workers > 0) {
+      this._setupWorkers(options);
+    }
+
+    // Directories opened once they are reached, their entries read as the stream is.
+    this._opendir = Boolean(options.opendir);
+    if (this._opendir) {
+      this._setupOpendir(options);
+    }
+
+    // Listings of the directories which didn't change since the last walk.
+    this._scanCache = options.cache ? ScanCache.load(this._fs, options.cache) : null;
+    this._cacheKind = this._isDirent ? CACHE_KIND_DIRENT : CACHE_KIND_NAME;
+
+    this._errorHandler = options.onError || null;
+    // Actions decided by `onError` for the errors of fs operations, by error, see `_run`.
+    this._errorActions = new WeakMap();
+    // Errors skipped, with their context.
+    this.errors = [];
+
+    // Counters of `stats` and `progress` events.
+    this._progress = {
+      directoriesQueued: 0,
+      directoriesRead: 0,
+      entriesSeen: 0,
+      entriesEmitted: 0,
+      entriesFiltered: 0,
+      bytesSeen: 0
+    };
+    this._startTime = Date.now();
+    this._currentDirectory = null;
+    this._progressInterval = getNumberOption(options.progressInterval, defaults.progressInterval);
+    this._lastProgress = 0;
+
+    if (options.signal) {
+      this._listenToSignal(options.signal);
     }
 
-    this._maxDepth = options.depth;
-    this._wantsDir = [DIR_TYPE, FILE_DIR_TYPE, EVERYTHING_TYPE].includes(options.type);
-    this._wantsFile = [FILE_TYPE, FILE_DIR_TYPE, EVERYTHING_TYPE].includes(options.type);
-    this._wantsEverything = options.type === EVERYTHING_TYPE;
-    this._root = Path.resolve(options.root);
-    this._isDirent = ('Dirent' in fs) && !options.alwaysStat;
-    this._statsProp = this._isDirent ? 'dirent' : 'stats';
-    this._rdOptions = { encoding: 'utf8', withFileTypes: this._isDirent };
-    this._suppressNormalFlowError = options.suppressNormalFlowError !== false;
+    this._order = options.order || null;
+    // Directories queued in `parents` but not explored yet, by promise, see `checkpoint`.
+    this._queued = new WeakMap();
+    // Paths of the last entries pushed, the ones not read yet being the last `readableLength` ones.
+    this._pushed = [];
+    // Paths of the entries not read before the checkpoint resumed from, until they are pushed again.
+    this._resumedPaths = [];
+    this._resumedEntries = null;
+    this._next = null;
 
-    // Launch stream with one parent, the root dir.
-    this.parents = [this._exploreDir(this._root, '', 1)];
+    // Launch stream with one parent, the root dir. Multiple roots are explored once their globs are expanded.
+    this._multiRoot = Array.isArray(options.root);
+    // Real paths of the entries handled, only with multiple roots.
+    this._realPaths = this._multiRoot ? new Set() : null;
+    if (options.resumeFrom) {
+      const reason = getUnsupportedReason(options);
+      if (reason) {
+        throw new TypeError(`readdirp: resumeFrom option is not supported with ${reason}`);
+      }
+      this.parents = this._resume(options.resumeFrom);
+    } else {
+      this.parents = this._multiRoot ? [] : [this._exploreRoot(options.root)];
+    }
+    this._rootsReady = this._multiRoot ? this._exploreRoots(options.root) : null;
+    this._unsupportedCheckpoint = getUnsupportedReason(options);
     this.reading = false;
     this.parent = null;
   }
 
+  _setupWorkers(options) {
+    const reason = getWorkersUnsupportedReason(options);
+    if (reason) {
+      throw new TypeError(`readdirp: workers option is not supported with ${reason}`);
+    }
+
+    const passAll = () => true;
+    if (typeof options.fileFilter !== 'function') {
+      this._fileFilter = passAll;
+    }
+    if (typeof options.directoryFilter !== 'function') {
+      this._directoryFilter = passAll;
+    }
+    this._workerPool = new WorkerPool(options.workers, options, err => this.destroy(err));
+    this.once('close', () => this._workerPool.close());
+  }
+
+  _setupOpendir(options) {
+    // Both need whole listings.
+    for (const option of ['sort', 'cache']) {
+      if (options[option]) {
+        throw new TypeError(`readdirp: opendir option is not supported with ${option} option`);
+      }
+    }
+
+    // Handles of the directories being read, closed with the stream.
+    this._dirHandles = new Set();
+    this.once('close', () => {
+      for (const dir of this._dirHandles) {
+        dir.close().catch(() => null);
+      }
+      this._dirHandles.clear();
+    });
+  }
+
+  _listenToSignal(signal) {
+    if (signal.aborted) {
+      this.destroy(createAbortError(signal));
+      return;
+    }
+
+    // Not returning the stream, EventTarget would handle it as a thenable.
+    const onAbort = () => {
+      this.destroy(createAbortError(signal));
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    this.once('close', () => signal.removeEventListener('abort', onAbort));
+  }
+
+  /**
+   * Counters of the walk so far, with the elapsed time and the directory whose entries are being processed.
+   * @returns {Object}
+   */
+  get stats() {
+    return {
+      ...this._progress,
+      elapsedMs: Date.now() - this._startTime,
+      currentDirectory: this._currentDirectory
+    };
+  }
+
+  /**
+   * Emits `progress`, at most once per `progressInterval` unless forced, and only when listened to.
+   */
+  _reportProgress(force = false) {
+    const now = Date.now();
+    if ((force || now - this._lastProgress >= this._progressInterval) && this.listenerCount('progress') > 0) {
+      this._lastProgress = now;
+      this.emit('progress', this.stats);
+    }
+  }
+
+  /**
+   * Describes where the walk is, to resume it later on with the `resumeFrom` option and the same root and options.
+   * Entries pushed to the stream but not read yet are pushed again once resumed.
+   * @returns {Cursor} JSON-serializable cursor
+   */
+  checkpoint() {
+    if (this._unsupportedCheckpoint) {
+      throw new TypeError(`readdirp: checkpoint() is not supported with ${this._unsupportedCheckpoint}`);
+    }
+
+    const pending = this.parents.slice();
+    const { parent } = this;
+    // Entries of the current parent may be processed, out of both `files` and `results`, until it's listed.
+    const current = this._next || (parent && (!parent.listed || parent.postEntry) ? parent : null);
+    if (current) {
+      // The current parent is taken again first.
+      if (this._breadthFirst) {
+        pending.unshift(current);
+      } else {
+        pending.push(current);
+      }
+    }
+    this._pushed.splice(0, this._pushed.length - this.readableLength);
+    return {
+      version: CURSOR_VERSION,
+      root: this._root,
+      order: this._order,
+      entries: [...this._resumedPaths, ...this._pushed],
+      directories: pending.map(item => ({
+        ...(this._queued.get(item) || { path: item.path, position: item.position, postEntry: Boolean(item.postEntry) })
+      }))
+    };
+  }
+
   then(onfulfilled, onrejected) {
     return new Promise((resolve, reject) => {
       const files = [];
       this.on('data', entry => files.push(entry))
-        .on('end', () => resolve(files))
+        .on('end', () => {
+          // Not enumerable, so that files compare as a plain array.
+          Object.defineProperty(files, 'errors', { value: this.errors });
+          resolve(files);
+        })
         .on('error', error => reject(error));
     }).then(onfulfilled, onrejected);
   }
@@ -134,56 +331,63 @@ export class ReaddirpStream extends Readable {
     this.reading = true;
 
     try {
-      while (!this.destroyed && batch > 0) {
-        const {
-          fullPath,
-          path,
-          depth,
-          files = []
-        } = this.parent || {};
+      await this._prepare();
 
-        if (files.length === 0) {
-          const parent = this.parents.pop();
-          if (!parent) {
-            this.push(null);
-            return;
+      while (!this.destroyed && batch > 0) {
+        const { parent } = this;
+        if (!parent || (parent.files.length === 0 && parent.results.length === 0 && !parent.streaming)) {
+          if (parent && parent.node && !parent.listed) {
+            parent.listed = true;
+            this._onListed(parent.node);
           }
 
-          this.parent = await parent;
+          if (parent && parent.postEntry) {
+            // Post order: all the descendants were emitted, so it's the directory's turn.
+            const { postEntry } = parent;
+            parent.postEntry = null;
+            this._pushEntry(postEntry);
+            batch--;
+            continue;
+          }
 
-          if (this.destroyed) {
+          const next = this._breadthFirst ? this.parents.shift() : this.parents.pop();
+          if (!next) {
+            await this._saveCache();
+            this._currentDirectory = null;
+            this._reportProgress(true);
+            this.push(null);
             return;
           }
 
-          continue;
-        }
+          // Still pending for `checkpoint` until it is explored.
+          this._next = next;
+          this.parent = await next;
+          this._next = null;
 
-        const slice = files.splice(0, batch).map(dirent => this._formatEntry(dirent, fullPath, path));
-        for (const entry of await Promise.all(slice)) {
           if (this.destroyed) {
             return;
           }
+          this._currentDirectory = this.parent.fullPath;
 
-          const entryType = await this._getEntryType(entry);
-          if (entryType === 'directory' && this._directoryFilter(entry)) {
-            if (depth <= this._maxDepth) {
-              this.parents.push(this._exploreDir(entry.fullPath, entry.path, depth + 1));
-            }
-
-            if (this._wantsDir) {
-              this.push(entry);
-              batch--;
+          if (this.parent.claimed === false) {
+            this.parent.claimed = true;
+            if (!this._claimRealPath(this.parent.realPath)) {
+              // The root was reached from another root already.
+              this.parent.files = [];
+              this.parent.streaming = false;
             }
-            continue;
           }
 
-          if ((entryType === 'file' || this._includeAsFile(entry)) && this._fileFilter(entry)) {
-            if (this._wantsFile) {
-              this.push(entry);
-              batch--;
-            }
-          }
+          continue;
+        }
+
+        if (parent.results.length === 0) {
+          parent.results = await this._processSlice(parent, batch);
+          continue;
         }
+
+        batch -= this._handleResult(parent, parent.results.shift());
+        this._reportProgress();
       }
     } catch (error) {
       this.destroy(error);
@@ -192,47 +396,1059 @@ export class ReaddirpStream extends Readable {
     }
   }
 
-  async _exploreDir(fullPath, path, depth) {
-    let files;
+  /**
+   * Entries of a slice are resolved concurrently, but pushed in order.
+   * With `opendir`, only the entries of the slice are read from the handle.
+   * A slice without any entry of a directory still holding some throws, `_read` would loop on it forever.
+   * @returns {Promise<Object[]>} results of the entries
+   */
+  async _processSlice(parent, batch) {
+    const size = Math.min(batch, this._filterConcurrency);
+    if (parent.streaming && parent.files.length < size) {
+      await this._readDirHandle(parent, size);
+    }
+    const slice = parent.files.splice(0, size);
+    if (slice.length === 0 && parent.files.length > 0) {
+      throw new Error(`readdirp: no entry processed from "${parent.fullPath}", slice of ${size} entries`);
+    }
+    return Promise.all(slice.map(dirent => this._processEntry(dirent, parent)));
+  }
+
+  _pushEntry(entry) {
+    if (this._pushed.length > 2 * this.readableHighWaterMark) {
+      this._pushed.splice(0, this._pushed.length - this.readableLength);
+    }
+    this._pushed.push(entry.path);
+    this._progress.entriesEmitted++;
+    this.push(entry);
+  }
+
+  /**
+   * Queues a directory to be explored, described for `checkpoint` until it is.
+   * @param {Promise<Object>} child parent of the entries found
+   * @param {CursorDirectory} directory
+   * @returns {Promise<Object>}
+   */
+  _queue(child, directory) {
+    this._queued.set(child, directory);
+    return child;
+  }
+
+  /**
+   * Waits for the roots to be expanded, and pushes the entries resumed before anything else.
+   */
+  async _prepare() {
+    if (this._rootsReady) {
+      await this._rootsReady;
+      this._rootsReady = null;
+    }
+    if (this._resumedEntries) {
+      const entries = await this._resumedEntries;
+      this._resumedEntries = null;
+      this._resumedPaths = [];
+      for (const entry of entries) {
+        if (entry && !this.destroyed) {
+          this._pushEntry(entry);
+        }
+      }
+    }
+  }
+
+  /**
+   * Schedules the exploration of a directory and pushes the entry.
+   * @returns {Number} count of pushed entries
+   */
+  _handleResult(parent, result) {
+    const {
+      entry,
+      recurse,
+      emit,
+      realPath
+    } = result;
+    parent.position++;
+    if (realPath && !this._claimRealPath(realPath)) {
+      return 0;
+    }
+    // Only entries rejected by filters, ignore rules or predicates, not the ones hidden by `type`.
+    if (result.filtered) {
+      this._progress.entriesFiltered++;
+    }
+    if (entry && entry.stats && !result.directory) {
+      this._progress.bytesSeen += Number(entry.stats.size);
+    }
+    if (parent.node) {
+      this._countResult(parent.node, result);
+    }
+    if (recurse) {
+      const postEntry = this._postOrder && emit ? entry : null;
+      let child = this._exploreResult(parent, result, postEntry);
+      // Members of archives are not counted.
+      if (parent.node && !result.archiveFormat) {
+        child = this._trackDirectory(child, entry, parent.node);
+      }
+      child = this._queue(child, { path: entry.path, position: 0, postEntry: Boolean(postEntry) });
+      if (this._depthFirst) {
+        // Descend right away, the rest of the parent is resumed afterwards.
+        this.parents.push(parent, child);
+        this.parent = null;
+      } else {
+        this.parents.push(child);
+      }
+
+      if (postEntry) {
+        return 0;
+      }
+    }
+
+    if (emit) {
+      this._pushEntry(entry);
+      return 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Explores a root directory. With multiple roots, its entries carry it and are told apart by real path.
+   * @returns {Promise<Object>} parent of the entries found
+   */
+  _exploreRoot(root) {
+    const path = this._getBasePath();
+    const fullPath = Path.join(Path.resolve(root), path);
+    const ancestor = { fullPath, id: null, parent: null };
+    const entry = { path, fullPath, basename: Path.basename(fullPath) };
+    let child = this._exploreDir(fullPath, path, getEntriesDepth(path), [], null, ancestor);
+    if (this._multiRoot) {
+      entry.root = root;
+      const realPath = this._realpath(fullPath);
+      child = Promise.all([child, realPath]).then(([descriptor, resolved]) => Object.assign(descriptor, {
+        root,
+        realPath: resolved,
+        claimed: false
+      }));
+    }
+    return this._queue(this._trackDirectory(child, entry, null), { path, position: 0, postEntry: false });
+  }
+
+  /**
+   * `readdirp.glob` starts from the static base of its patterns, paths stay relative to the root.
+   * @returns {String} path of the directory the walk starts from, relative to the root
+   */
+  _getBasePath() {
+    const baseSegments = this._glob && this._glob.base ? this._glob.base.split('/') : [];
+    return baseSegments.length > 0 ? Path.join(...baseSegments) : '';
+  }
+
+  async _exploreRoots(roots) {
+    const children = (await expandRoots(this._fs, roots)).map(root => this._exploreRoot(root));
+    // Parents are popped from the end, unless breadth-first.
+    this.parents.push(...(this._breadthFirst ? children : children.reverse()));
+  }
+
+  /**
+   * Marks a real path as handled.
+   * @returns {Boolean} `false` if it was handled already, i.e., reached from another root or through a symlink
+   */
+  _claimRealPath(realPath) {
+    if (this._realPaths.has(realPath)) {
+      return false;
+    }
+    this._realPaths.add(realPath);
+    return true;
+  }
+
+  async _realpath(fullPath) {
     try {
-      files = await readdir(fullPath, this._rdOptions);
+      return await this._limit(() => this._fs.promises.realpath(fullPath));
     } catch (err) {
-      this._onError(err);
+      // Not readable anyway, the error is reported by the exploration.
+      return fullPath;
+    }
+  }
+
+  /**
+   * Real path of an entry, joined to the one of its parent unless the entry may be a symlink to follow.
+   * @returns {Promise<String>}
+   */
+  _getRealPath(entry, parent) {
+    const stats = entry[this._statsProp];
+    // `stat` doesn't tell symlinks apart, and members of archives aren't on disk.
+    const mayBeSymlink = this._isDirent || this._lstat ? stats.isSymbolicLink() : true;
+    if (parent.archive || this._symlinks === SYMLINKS_REPORT || !mayBeSymlink) {
+      return Path.join(parent.realPath, entry.basename);
+    }
+    return this._realpath(entry.fullPath);
+  }
+
+  /**
+   * Counts the directories being walked, to tell when all the descendants of one were processed.
+   * A directory is pending until its own entries are handled and its subdirectories are complete.
+   * @returns {Promise<Object>} parent of the entries found
+   */
+  _trackDirectory(child, entry, parentNode) {
+    const node = this._createNode(entry, parentNode, 1);
+    return Promise.resolve(child).then((descriptor) => {
+      descriptor.node = node;
+      return descriptor;
+    });
+  }
+
+  _createNode(entry, parent, pending) {
+    if (parent) {
+      parent.pending++;
+    }
+    return {
+      entry,
+      parent,
+      pending,
+      totalSize: 0,
+      fileCount: 0,
+      dirCount: 0
+    };
+  }
+
+  _countResult(node, { entry, directory }) {
+    if (!entry) {
+      return;
+    }
+
+    if (directory) {
+      node.dirCount++;
+    } else {
+      node.fileCount++;
+      if (this._aggregate) {
+        node.totalSize += Number(entry.stats.size);
+      }
+    }
+  }
+
+  /**
+   * Emits `directoryEnd` for the directories completed by the end of the listing of a directory.
+   */
+  _onListed(node) {
+    node.pending--;
+    while (node && node.pending === 0) {
+      const { entry, parent } = node;
+      if (this._aggregate) {
+        entry.totalSize = node.totalSize;
+        entry.fileCount = node.fileCount;
+        entry.dirCount = node.dirCount;
+      }
+      this.emit('directoryEnd', entry);
+
+      if (parent) {
+        parent.totalSize += node.totalSize;
+        parent.fileCount += node.fileCount;
+        parent.dirCount += node.dirCount;
+        parent.pending--;
+      }
+      node = parent;
+    }
+  }
+
+  /**
+   * Explores a directory or an archive found in the parent.
+   * @returns {Promise<Object>|Object} parent of the entries found
+   */
+  _exploreResult(parent, result, postEntry = null) {
+    const child = this._exploreChild(parent, result, postEntry);
+    if (!this._multiRoot) {
+      return child;
+    }
+    return Promise.resolve(child).then(descriptor => Object.assign(descriptor, {
+      root: parent.root,
+      realPath: result.realPath
+    }));
+  }
+
+  _exploreChild(parent, result, postEntry) {
+    const { entry, archiveFormat } = result;
+    const depth = parent.depth + 1;
+    if (archiveFormat) {
+      return this._exploreArchive(entry, archiveFormat, depth, parent.ignoreRules, postEntry);
+    }
+    if (parent.archive) {
+      const { archive } = parent;
+      const dir = archive.dir ? `${archive.dir}/${entry.basename}` : entry.basename;
+      return this._exploreArchiveDir({ ...archive, dir }, entry, depth, parent.ignoreRules, postEntry);
+    }
+    return this._exploreDir(entry.fullPath, entry.path, depth, parent.ignoreRules, postEntry, result.ancestor);
+  }
+
+  /**
+   * @returns {Promise<Object>} result of the entry, also emitted with an internal event
+   */
+  async _processEntry(dirent, parent) {
+    const result = await this._processDirent(dirent, parent);
+    this.emit(ENTRY_PROCESSED_EVENT, dirent, parent, result);
+    return result;
+  }
+
+  async _processDirent(dirent, parent) {
+    if (parent.fromWorker) {
+      return this._processWorkerResult(dirent);
+    }
+    const { ignoreRules } = parent;
+    const entry = parent.archive
+      ? this._formatArchiveEntry(dirent, parent)
+      : await this._formatEntry(dirent, parent);
+    if (this._symlinks === SYMLINKS_SKIP && entry && entry[this._statsProp].isSymbolicLink()) {
+      return {};
+    }
+    if (entry && this._multiRoot) {
+      entry.root = parent.root;
+    }
+
+    const entryType = await this._getEntryType(entry, parent.depth);
+    if (isIgnoredEntry(ignoreRules, entry, entryType)) {
+      return { filtered: true };
+    }
+
+    let result = {};
+    if (entryType === 'directory' && await this._directoryFilter(entry)) {
+      result = await this._processDirectory(entry, parent);
+    } else if (entryType === 'file' || entryType === 'symlink' || this._includeAsFile(entry)) {
+      result = await this._processFile(entry, entryType, parent);
+    } else if (entryType === 'directory') {
+      // Rejected by `directoryFilter`.
+      result = { filtered: true };
+    }
+
+    if (result.entry && this._multiRoot) {
+      result.realPath = await this._getRealPath(entry, parent);
+    }
+    return result;
+  }
+
+  /**
+   * Results of the workers only miss the function filters, which can't be posted to them.
+   * @returns {Promise<Object>}
+   */
+  async _processWorkerResult(result) {
+    const entry = fromTransferableEntry(result.entry);
+    const filter = result.directory ? this._directoryFilter : this._fileFilter;
+    return await filter(entry) ? { ...result, entry } : { filtered: true };
+  }
+
+  async _processDirectory(entry, parent) {
+    let recurse = parent.depth <= this._maxDepth && this._mayContainGlobMatch(entry);
+    let emit = this._wantsDir && this._matchesGlob(entry);
+    if (this._glob && !recurse && !emit) {
+      return {};
+    }
+
+    let targetStats = null;
+    // Members of archives can't lead out of the archive.
+    if (this._oneFileSystem && !parent.archive) {
+      try {
+        targetStats = await this._getTargetStats(entry, parent.depth);
+        if (targetStats.dev !== await this._getRootDev(parent)) {
+          if (!this._includeMountPoints) {
+            return {};
+          }
+          entry.mountPoint = true;
+          recurse = false;
+        }
+      } catch (err) {
+        this._onError(err, { path: entry.fullPath, operation: 'stat', depth: parent.depth });
+        return {};
+      }
+    }
+
+    const ancestor = recurse && !parent.archive ? await this._createAncestor(entry, parent, targetStats) : null;
+    if (ancestor === false) {
+      return {};
+    }
+
+    // Predicates don't prune, like with `find`.
+    let filtered = false;
+    if (emit) {
+      emit = await this._matchesPredicate(entry, parent, true);
+      filtered = !emit;
     }
+    return {
+      entry,
+      directory: true,
+      recurse,
+      emit,
+      ancestor,
+      filtered
+    };
+  }
+
+  _matchesGlob(entry) {
+    return !this._glob || this._glob.isMatch(toPosixPath(entry.path));
+  }
+
+  _mayContainGlobMatch(entry) {
+    return !this._glob || this._glob.mayContainMatch(toPosixPath(entry.path));
+  }
+
+  /**
+   * Links a directory to be explored to its ancestors, unless it is one of them.
+   * Cycles are told by device and inode, as links may point anywhere, e.g., to the root through another link.
+   * @returns {Promise<Object|false>} `false` for a cycle
+   */
+  async _createAncestor(entry, parent, targetStats = null) {
+    const ancestor = { fullPath: entry.fullPath, id: null, parent: parent.ancestor };
+    const stats = entry[this._statsProp];
+    try {
+      // Only symlinks lead to an ancestor, `stat` doesn't tell them apart but gives the inode for free.
+      if (!this._isDirent && !this._lstat) {
+        ancestor.id = getFileId(stats);
+      } else if (stats.isSymbolicLink()) {
+        ancestor.id = getFileId(targetStats || await this._statTarget(entry.fullPath, parent.depth));
+      } else {
+        return ancestor;
+      }
+    } catch (err) {
+      this._onError(err, { path: entry.fullPath, operation: 'stat', depth: parent.depth });
+      return false;
+    }
+
+    for (let current = ancestor.parent; ancestor.id && current; current = current.parent) {
+      if (ancestor.id === await this._getAncestorId(current)) {
+        const error = createRecursiveError(entry.fullPath, current.fullPath);
+        this._onError(error, { path: entry.fullPath, operation: 'walk', depth: parent.depth });
+        return false;
+      }
+    }
+    return ancestor;
+  }
+
+  /**
+   * Stats of a directory, or of the target of a symlink to a directory.
+   * @returns {Promise<fs.Stats>}
+   */
+  async _getTargetStats(entry, depth) {
+    const stats = entry[this._statsProp];
+    return !this._isDirent && !stats.isSymbolicLink() ? stats : this._statTarget(entry.fullPath, depth);
+  }
+
+  _getRootDev({ ancestor }) {
+    let root = ancestor;
+    while (root.parent) {
+      root = root.parent;
+    }
+    // Computed once per root.
+    if (!root.dev) {
+      root.dev = this._statTarget(root.fullPath).then(stats => stats.dev);
+    }
+    return root.dev;
+  }
+
+  _getAncestorId(ancestor) {
+    // Computed once, only when a symlink is found below.
+    if (!ancestor.id) {
+      ancestor.id = this._statTarget(ancestor.fullPath).then(getFileId, () => null);
+    }
+    return ancestor.id;
+  }
+
+  async _processFile(entry, entryType, parent) {
+    const { depth, archive } = parent;
+    // Archives are walked like directories, but emitted as files. Archives in archives are not walked.
+    const archiveFormat = !archive && entryType === 'file' && getArchiveFormat(entry.basename, this._archives);
+    const recurse = Boolean(archiveFormat) && depth <= this._maxDepth && this._mayContainGlobMatch(entry)
+      && await this._directoryFilter(entry);
+    const matchesGlob = this._matchesGlob(entry);
+    const included = matchesGlob && await this._fileFilter(entry);
+    // Entries out of the patterns of `readdirp.glob` are not walked rather than filtered.
+    const filtered = this._wantsFile && matchesGlob;
+    if (!included && !recurse) {
+      return { filtered };
+    }
+
+    const emit = this._wantsFile && included && await this._matchesPredicate(entry, parent, false);
+    // Only regular files are read, reading e.g. a named pipe could block forever.
+    if (emit && this._hash && entryType === 'file' && !archive) {
+      await this._hashEntry(entry, depth);
+    }
+    return {
+      entry,
+      archiveFormat: recurse ? archiveFormat : null,
+      recurse,
+      emit,
+      filtered: filtered && !emit
+    };
+  }
+
+  /**
+   * Checks the find-style predicates, e.g., `minSize`. Entries are only stated for them if they have no stats yet.
+   * @returns {Promise<Boolean>}
+   */
+  async _matchesPredicate(entry, parent, directory) {
+    if (!this._predicate) {
+      return true;
+    }
+
+    const { test, empty } = this._predicate;
+    try {
+      if (test && !test(await this._getStats(entry, parent.depth))) {
+        return false;
+      }
+      if (empty === null) {
+        return true;
+      }
+      // Emptiness of directories is told by their listing, not their size.
+      const isEmpty = directory
+        ? await this._isEmptyDirectory(entry, parent)
+        : Number((await this._getStats(entry, parent.depth)).size) === 0;
+      return isEmpty === empty;
+    } catch (err) {
+      this._onError(err, { path: entry.fullPath, operation: directory ? 'readdir' : 'stat', depth: parent.depth });
+      return false;
+    }
+  }
+
+  /**
+   * Stats of an entry, added to it once stated.
+   * @returns {Promise<fs.Stats>}
+   */
+  async _getStats(entry, depth) {
+    if (!entry.stats) {
+      // Members of archives are their own stats.
+      entry.stats = entry.archive ? entry.dirent : await this._stat(entry.fullPath, depth);
+    }
+    return entry.stats;
+  }
+
+  async _isEmptyDirectory(entry, { archive, depth }) {
+    if (archive) {
+      const members = archive.tree.get(archive.dir ? `${archive.dir}/${entry.basename}` : entry.basename);
+      return !members || members.length === 0;
+    }
+    const files = await this._run('readdir', entry.fullPath, depth, () => this._fs.promises.readdir(entry.fullPath));
+    return files.length === 0;
+  }
+
+  async _hashEntry(entry, depth) {
+    const { algorithm, maxSize, cache } = this._hash;
+    const { fullPath } = entry;
+    try {
+      // Hashes the target of symlinks, so `lstat` stats can't be used.
+      const stats = entry.stats && !this._lstat ? entry.stats : await this._statTarget(fullPath, depth);
+      if (stats.size > maxSize) {
+        return;
+      }
+
+      const cacheKey = cache && getHashCacheKey(fullPath, stats);
+      let hash = cache && cache.get(cacheKey);
+      if (!hash) {
+        hash = await this._run('hash', fullPath, depth, () => hashFile(this._fs, fullPath, algorithm));
+        if (cache) {
+          cache.set(cacheKey, hash);
+        }
+      }
+      entry.hash = hash;
+    } catch (err) {
+      this._onError(err, { path: fullPath, operation: 'hash', depth });
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} parent of the entries found, emitted with an internal event before they're processed
+   */
+  async _exploreDir(fullPath, path, depth, ignoreRules, postEntry = null, ancestor = null) {
+    // Directories are explored as soon as they are queued, their entries are processed later on.
+    this._progress.directoriesQueued++;
+    let descriptor;
+    if (this._workerPool) {
+      descriptor = await this._exploreDirInWorker(fullPath, path, depth, ignoreRules, postEntry, ancestor);
+    } else if (this._opendir) {
+      descriptor = await this._exploreDirHandle(fullPath, path, depth, ignoreRules, postEntry, ancestor);
+    } else {
+      descriptor = await this._exploreDirListing(fullPath, path, depth, ignoreRules, postEntry, ancestor);
+    }
+    this.emit(DIR_EXPLORED_EVENT, descriptor);
+    return descriptor;
+  }
+
+  async _exploreDirListing(fullPath, path, depth, ignoreRules, postEntry, ancestor) {
+    let files = [];
+    // Depth of the directory itself.
+    const dirDepth = depth - 1;
+    try {
+      files = await this._readDirectory(fullPath, dirDepth);
+      sortFiles(this, files);
+      if (files.length > 0 && this._ignoreFiles.length > 0) {
+        ignoreRules = await this._loadIgnoreRules(files, fullPath, path, ignoreRules, depth);
+      }
+    } catch (err) {
+      this._onError(err, { path: fullPath, operation: 'readdir', depth: dirDepth });
+    }
+    this._progress.directoriesRead++;
+    this._progress.entriesSeen += files.length;
+    this._reportProgress();
+    return {
+      files,
+      results: [],
+      position: 0,
+      depth,
+      fullPath,
+      path,
+      ignoreRules,
+      postEntry,
+      ancestor
+    };
+  }
+
+  /**
+   * Explores a directory in a worker, its entries coming back processed but for the function filters.
+   * Ignore rules and ancestors are kept in the postable forms of the workers, see `WorkerWalker#explore`.
+   */
+  async _exploreDirInWorker(fullPath, path, depth, ignoreSources, postEntry, ancestor) {
+    const dirDepth = depth - 1;
+    let files = [];
+    let seen = 0;
+    let filtered = 0;
+    try {
+      // Only the root has an ancestor object, see `_exploreRoot`.
+      let ancestors = Array.isArray(ancestor) ? ancestor : [];
+      if (ancestor && !Array.isArray(ancestor)) {
+        ancestors = [{ fullPath: ancestor.fullPath, id: null }];
+      }
+      const listing = await this._workerPool.explore({
+        fullPath,
+        path,
+        depth,
+        ignoreSources,
+        ancestors
+      });
+      for (const error of listing.errors) {
+        const err = fromTransferableError(error);
+        this._onError(err, { path: err.path || fullPath, operation: getErrorOperation(err), depth: dirDepth });
+      }
+      ({
+        results: files,
+        seen,
+        filtered,
+        ignoreSources
+      } = listing);
+    } catch (err) {
+      this._onError(err, { path: fullPath, operation: 'readdir', depth: dirDepth });
+    }
+    this._progress.directoriesRead++;
+    this._progress.entriesSeen += seen;
+    this._progress.entriesFiltered += filtered;
+    this._reportProgress();
+    return {
+      files,
+      results: [],
+      position: 0,
+      depth,
+      fullPath,
+      path,
+      ignoreRules: ignoreSources,
+      postEntry,
+      fromWorker: true
+    };
+  }
+
+  /**
+   * Explores a directory to be read with `opendir`: only its ignore files are read until it is reached,
+   * see `_readDirHandle`.
+   */
+  async _exploreDirHandle(fullPath, path, depth, ignoreRules, postEntry, ancestor) {
+    if (this._ignoreFiles.length > 0) {
+      ignoreRules = await this._loadIgnoreRules(null, fullPath, path, ignoreRules, depth);
+    }
+    return {
+      files: [],
+      results: [],
+      position: 0,
+      depth,
+      fullPath,
+      path,
+      ignoreRules,
+      postEntry,
+      ancestor,
+      streaming: true,
+      dir: null,
+      // Entries already handled before a `resumeFrom`.
+      skip: 0
+    };
+  }
+
+  /**
+   * Reads up to `count` entries of a directory explored by `_exploreDirHandle`, opening it on the first call.
+   * The handle is closed once the directory is exhausted or fails.
+   */
+  async _readDirHandle(parent, count) {
+    const { fullPath } = parent;
+    const depth = parent.depth - 1;
+    let operation = 'opendir';
+    try {
+      if (!parent.dir) {
+        parent.dir = await this._run(operation, fullPath, depth, () => this._fs.promises.opendir(fullPath));
+        this._dirHandles.add(parent.dir);
+        this._progress.directoriesRead++;
+      }
+
+      operation = 'readdir';
+      while (parent.files.length < count) {
+        const dirent = await this._run(operation, fullPath, depth, () => parent.dir.read());
+        if (!dirent) {
+          await this._closeDirHandle(parent);
+          return;
+        }
+        this._progress.entriesSeen++;
+        if (parent.skip > 0) {
+          parent.skip--;
+        } else {
+          parent.files.push(this._isDirent ? dirent : dirent.name);
+        }
+      }
+    } catch (err) {
+      await this._closeDirHandle(parent);
+      this._onError(err, { path: fullPath, operation, depth });
+    }
+  }
+
+  async _closeDirHandle(parent) {
+    parent.streaming = false;
+    if (parent.dir && this._dirHandles.delete(parent.dir)) {
+      await parent.dir.close().catch(() => null);
+    }
+  }
+
+  /**
+   * Lists a directory, from the `cache` if its mtime and ctime are the same as when it was cached.
+   * @returns {Promise<Array<fs.Dirent|String>>}
+   */
+  async _readDirectory(fullPath, depth) {
+    const readdir = () => this._run('readdir', fullPath, depth, () => this._fs.promises.readdir(fullPath, this._rdOptions));
+    const cache = this._scanCache && await this._scanCache;
+    // Stated before being listed, so that a change during the listing is seen next time.
+    const dirStats = cache && await this._limit(() => this._fs.promises.stat(fullPath)).catch(() => null);
+    if (!dirStats) {
+      if (cache) {
+        // E.g., gone since the last walk.
+        cache.delete(fullPath);
+      }
+      return readdir();
+    }
+
+    const cached = cache.get(fullPath, dirStats, this._cacheKind);
+    if (cached) {
+      return cached;
+    }
+    const files = await readdir();
+    cache.set(fullPath, dirStats, files, this._cacheKind);
+    return files;
+  }
+
+  async _saveCache() {
+    const cache = this._scanCache && await this._scanCache;
+    if (!cache) {
+      return;
+    }
+    try {
+      await this._run('writeFile', cache.file, null, () => cache.save());
+    } catch (err) {
+      this._onError(err, { path: cache.file, operation: 'writeFile', depth: null });
+    }
+  }
+
+  async _exploreArchive(entry, format, depth, ignoreRules, postEntry) {
+    let tree = new Map();
+    try {
+      tree = await this._run('readArchive', entry.fullPath, depth - 1, () => readArchive(this._fs, entry.fullPath, format));
+    } catch (err) {
+      this._onError(err, { path: entry.fullPath, operation: 'readArchive', depth: depth - 1 });
+    }
+    const archive = { fullPath: entry.fullPath, tree, dir: '' };
+    return this._exploreArchiveDir(archive, entry, depth, ignoreRules, postEntry);
+  }
+
+  _exploreArchiveDir(archive, { fullPath, path }, depth, ignoreRules, postEntry) {
+    const files = sortFiles(this, (archive.tree.get(archive.dir) || []).slice());
+    this._progress.directoriesQueued++;
+    this._progress.directoriesRead++;
+    this._progress.entriesSeen += files.length;
     return {
       files,
+      results: [],
+      position: 0,
       depth,
       fullPath,
-      path
+      path,
+      ignoreRules,
+      postEntry,
+      archive
     };
   }
 
-  async _formatEntry(dirent, absolutePath, relativePath) {
+  /**
+   * Queues the directories of a cursor, and processes again the entries which were not read.
+   * Their ancestors, ignore rules and `directoryEnd` tracking are rebuilt from their paths.
+   * @param {Cursor} cursor
+   * @returns {Promise<Object>[]} parents
+   */
+  _resume(cursor) {
+    validateCursor(cursor, this._root, this._order);
+    const context = {
+      basePath: this._getBasePath(),
+      ancestors: new Map(),
+      rules: new Map(),
+      listings: new Map(),
+      nodes: new Map()
+    };
+    this._resumedPaths = cursor.entries.slice();
+    this._resumedEntries = Promise.all(cursor.entries.map(path => this._reprocessEntry(path, context)));
+    return cursor.directories.map((directory) => {
+      // Nodes are all created before any directory can complete.
+      const node = this._getResumedNode(directory.path, context);
+      node.pending++;
+      const child = this._resumeDirectory(directory, context).then(descriptor => Object.assign(descriptor, { node }));
+      return this._queue(child, { ...directory });
+    });
+  }
+
+  _isResumedBase(path, context) {
+    return !path || path === context.basePath;
+  }
+
+  async _resumeDirectory({ path, position, postEntry }, context) {
+    const [ignoreRules, entry] = await Promise.all([
+      this._isResumedBase(path, context) ? [] : this._getResumedRules(getParentPath(path), context),
+      postEntry ? this._reprocessEntry(path, context) : null
+    ]);
+    const fullPath = Path.join(this._root, path);
+    const ancestor = this._getResumedAncestor(path, context);
+    const descriptor = await this._exploreDir(fullPath, path, getEntriesDepth(path), ignoreRules, entry, ancestor);
+    descriptor.files.splice(0, position);
+    if (descriptor.streaming) {
+      descriptor.skip = position;
+    }
+    descriptor.position = position;
+    return descriptor;
+  }
+
+  /**
+   * Processes again an entry pushed before a checkpoint, but not read.
+   * @returns {Promise<EntryInfo|null>} `null` if it's gone or not emitted anymore
+   */
+  async _reprocessEntry(path, context) {
+    const parentPath = getParentPath(path);
+    const basename = Path.basename(path);
+    const [files, ignoreRules] = await Promise.all([
+      this._isDirent ? this._getResumedListing(parentPath, context) : null,
+      this._getResumedRules(parentPath, context)
+    ]);
+    const dirent = this._isDirent ? files.find(file => file.name === basename) : basename;
+    if (!dirent) {
+      return null;
+    }
+
+    const parent = {
+      fullPath: Path.join(this._root, parentPath),
+      path: parentPath,
+      depth: getEntriesDepth(parentPath),
+      ignoreRules,
+      ancestor: this._getResumedAncestor(parentPath, context)
+    };
+    const { entry, emit } = await this._processEntry(dirent, parent);
+    return emit ? entry : null;
+  }
+
+  _getResumedNode(path, context) {
+    let node = context.nodes.get(path);
+    if (!node) {
+      const fullPath = Path.join(this._root, path);
+      const parentNode = this._isResumedBase(path, context) ? null : this._getResumedNode(getParentPath(path), context);
+      node = this._createNode({ path, fullPath, basename: Path.basename(fullPath) }, parentNode, 0);
+      context.nodes.set(path, node);
+    }
+    return node;
+  }
+
+  _getResumedAncestor(path, context) {
+    let ancestor = context.ancestors.get(path);
+    if (!ancestor) {
+      const parent = this._isResumedBase(path, context) ? null : this._getResumedAncestor(getParentPath(path), context);
+      ancestor = { fullPath: Path.join(this._root, path), id: null, parent };
+      context.ancestors.set(path, ancestor);
+    }
+    return ancestor;
+  }
+
+  /**
+   * Ignore rules of a directory, its own included.
+   * @returns {Promise<Array>}
+   */
+  _getResumedRules(path, context) {
+    if (this._ignoreFiles.length === 0) {
+      return [];
+    }
+
+    let rules = context.rules.get(path);
+    if (!rules) {
+      const parentRules = this._isResumedBase(path, context) ? [] : this._getResumedRules(getParentPath(path), context);
+      rules = Promise.all([parentRules, this._getResumedListing(path, context)]).then(([ignoreRules, files]) => {
+        const fullPath = Path.join(this._root, path);
+        return this._loadIgnoreRules(files, fullPath, path, ignoreRules, getEntriesDepth(path));
+      });
+      context.rules.set(path, rules);
+    }
+    return rules;
+  }
+
+  _getResumedListing(path, context) {
+    let listing = context.listings.get(path);
+    if (!listing) {
+      const fullPath = Path.join(this._root, path);
+      const depth = getEntriesDepth(path) - 1;
+      const readdir = () => this._fs.promises.readdir(fullPath, this._rdOptions);
+      listing = this._run('readdir', fullPath, depth, readdir).catch((err) => {
+        this._onError(err, { path: fullPath, operation: 'readdir', depth });
+        return [];
+      });
+      context.listings.set(path, listing);
+    }
+    return listing;
+  }
+
+  /**
+   * @param {Array|null} files listing of the directory, `null` to try reading every ignore file
+   */
+  async _loadIgnoreRules(files, fullPath, path, ignoreRules, depth) {
+    const names = files && files.map(dirent => (this._isDirent ? dirent.name : dirent));
+    for (const ignoreFile of this._ignoreFiles) {
+      if (names && !names.includes(ignoreFile)) {
+        continue;
+      }
+
+      const filePath = Path.join(fullPath, ignoreFile);
+      // Without a listing, missing ignore files are not errors.
+      const readFile = () => this._fs.promises.readFile(filePath, 'utf8')
+        .catch(err => (!names && err.code === 'ENOENT' ? null : Promise.reject(err)));
+      try {
+        const content = await this._run('readFile', filePath, depth, readFile);
+        if (content === null) {
+          continue;
+        }
+        ignoreRules = ignoreRules.concat(parseIgnoreFile(content, toPosixPath(path)));
+      } catch (err) {
+        this._onError(err, { path: filePath, operation: 'readFile', depth });
+      }
+    }
+    return ignoreRules;
+  }
+
+  async _formatEntry(dirent, parent) {
+    const { depth } = parent;
     let entry;
+    const basename = this._isDirent ? dirent.name : dirent;
+    const fullPath = Path.join(parent.fullPath, basename);
     try {
-      const basename = this._isDirent ? dirent.name : dirent;
-      const fullPath = Path.join(absolutePath, basename);
       entry = {
-        path: Path.join(relativePath, basename),
+        path: Path.join(parent.path, basename),
         fullPath,
         basename
       };
-      entry[this._statsProp] = this._isDirent ? dirent : await this._stat(fullPath);
+      entry[this._statsProp] = this._isDirent ? dirent : await this._stat(fullPath, depth);
     } catch (err) {
-      this._onError(err);
+      this._onError(err, { path: fullPath, operation: this._lstat ? 'lstat' : 'stat', depth });
     }
     return entry;
   }
 
-  _onError(err) {
-    if (this._suppressNormalFlowError && isNormalFlowError(err) && !this.destroyed) {
-      this.emit('warn', err);
-    } else {
+  _formatArchiveEntry(member, { fullPath, path, archive }) {
+    return {
+      path: Path.join(path, member.name),
+      fullPath: Path.join(fullPath, member.name),
+      basename: member.name,
+      [this._statsProp]: member,
+      archive: archive.fullPath
+    };
+  }
+
+  /**
+   * Runs an fs operation through the limiter, again for as long as `onError` asks to retry it,
+   * with a growing delay, up to `MAX_RETRY_ATTEMPTS` attempts after which the error is skipped.
+   * The action decided for the error thrown is kept for `_onError`.
+   */
+  async _run(operation, path, depth, fn) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._limit(fn);
+      } catch (err) {
+        if (this.destroyed) {
+          throw err;
+        }
+
+        const context = {
+          path,
+          operation,
+          depth,
+          attempt
+        };
+        let action = this._getErrorAction(err, context);
+        if (action === ERROR_RETRY && attempt >= MAX_RETRY_ATTEMPTS) {
+          action = ERROR_SKIP;
+        }
+        if (action !== ERROR_RETRY) {
+          this._errorActions.set(err, { action, context });
+          throw err;
+        }
+        // Out of the limiter, the other operations go on meanwhile.
+        await delay(RETRY_DELAY_MS * (2 ** (attempt - 1)));
+        if (this.destroyed) {
+          throw err;
+        }
+      }
+    }
+  }
+
+  _getErrorAction(err, context) {
+    const defaultAction = this._suppressNormalFlowError && isNormalFlowError(err) ? ERROR_SKIP : ERROR_ABORT;
+    if (!this._errorHandler) {
+      return defaultAction;
+    }
+
+    let action;
+    try {
+      action = this._errorHandler(err, context);
+      if (action && !ALL_ERROR_ACTIONS.includes(action)) {
+        throw new TypeError(`readdirp: onError returned ${action}. Return one of ${ALL_ERROR_ACTIONS.join(', ')}`);
+      }
+    } catch (handlerError) {
+      // The stream is destroyed with the error of the handler, rather than the one handled.
+      this.destroy(handlerError);
+      return ERROR_ABORT;
+    }
+    return action || defaultAction;
+  }
+
+  /**
+   * Skips the error, with a `warn` event, or destroys the stream with it, as `onError` decides.
+   * Errors which can't be retried, e.g., cycles, are skipped when asked to retry them.
+   */
+  _onError(err, context) {
+    if (this.destroyed) {
+      return;
+    }
+
+    let decided = this._errorActions.get(err);
+    if (!decided) {
+      decided = { action: this._getErrorAction(err, { ...context, attempt: 1 }), context };
+    }
+    if (decided.action === ERROR_ABORT) {
       this.destroy(err);
+      return;
     }
+
+    const { path, operation, depth } = decided.context;
+    this.errors.push({
+      error: err,
+      path,
+      operation,
+      depth
+    });
+    this.emit('warn', err);
   }
 
-  async _getEntryType(entry) {
+  async _getEntryType(entry, depth) {
     // entry may be undefined, because a warning or an error were emitted
     // and the statsProp is undefined
     const stats = entry && entry[this._statsProp];
@@ -247,25 +1463,25 @@ export class ReaddirpStream extends Readable {
       return 'directory';
     }
 
-    if (stats.isSymbolicLink()) {
+    // Links in archives can't be resolved.
+    if (stats.isSymbolicLink() && !entry.archive) {
       const { fullPath } = entry;
       try {
-        const entryRealPath = await realpath(fullPath);
-        const entryRealPathStats = await lstat(entryRealPath);
+        if (this._symlinks === SYMLINKS_REPORT) {
+          entry.target = await this._run('readlink', fullPath, depth, () => this._fs.promises.readlink(fullPath));
+          return 'symlink';
+        }
+
+        const entryRealPath = await this._run('realpath', fullPath, depth, () => this._fs.promises.realpath(fullPath));
+        const entryRealPathStats = await this._run('lstat', entryRealPath, depth, () => this._fs.promises.lstat(entryRealPath));
         if (entryRealPathStats.isFile()) {
           return 'file';
         }
         if (entryRealPathStats.isDirectory()) {
-          if (!fullPath.startsWith(entryRealPath) || fullPath.substr(entryRealPath.length, 1) !== Path.sep) {
-            return 'directory';
-          }
-
-          const recursiveError = new Error(`Circular symlink detected: "${fullPath}" points to "${entryRealPath}"`);
-          recursiveError.code = RECURSIVE_ERROR_CODE;
-          this._onError(recursiveError);
+          return 'directory';
         }
       } catch (err) {
-        this._onError(err);
+        this._onError(err, { path: fullPath, operation: 'realpath', depth });
       }
     }
 
@@ -286,7 +1502,7 @@ export class ReaddirpStream extends Readable {
  * @property {String=} filterEntryKey
  * @property {String=} type
  * @property {Number=} depth
- * @property {String=} root
+ * @property {(String|String[])=} root
  * @property {Boolean=} lstat
  * @property {Boolean=} bigint
  * @property {Boolean=} suppressNormalFlowError
@@ -294,18 +1510,148 @@ export class ReaddirpStream extends Readable {
 
 /**
  * Main function which ends up calling readdirRec and reads all files and directories in given root recursively.
- * @param {String} root Root directory
+ * @param {String|String[]} root Root directory, or root directories and globs matching them
  * @param {ReaddirpArguments=} options Options to specify root (start directory), filters and recursion depth
  */
 export function readdirp(root, options = {}) {
-  if (!root) {
-    throw new Error('readdirp: root argument is required. Usage: readdirp(root, options)');
-  } else if (typeof root !== 'string') {
-    throw new TypeError('readdirp: root argument must be a string. Usage: readdirp(root, options)');
-  } else if (options.type && !ALL_TYPES.includes(options.type)) {
-    throw new Error(`readdirp: Invalid type passed. Use one of ${ALL_TYPES.join(', ')}`);
-  }
+  validateArguments(root, options);
 
   options.root = root;
   return new ReaddirpStream(options);
 }
+
+/**
+ * Reads all files and directories in given root recursively like `readdirp`,
+ * then keeps emitting the changes of the entries matching the same options.
+ * @param {String|String[]} root Root directory, or root directories and globs matching them
+ * @param {ReaddirpArguments=} options Options to specify filters and recursion depth
+ * @returns {ReaddirpWatcher}
+ */
+readdirp.watch = function watch(root, options = {}) {
+  validateArguments(root, options);
+  if (options.workers) {
+    // Changed directories are read again by the watcher itself.
+    throw new TypeError('readdirp: workers option is not supported by readdirp.watch');
+  }
+
+  return new ReaddirpWatcher(new ReaddirpStream({ ...options, root, autoDestroy: false }));
+};
+
+/**
+ * Saves the entries in given root as a JSON-serializable snapshot, with their type, size, mtime and optionally hash.
+ * @param {String|String[]} root Root directory, or root directories and globs matching them
+ * @param {ReaddirpArguments=} options Options to specify filters and recursion depth
+ * @returns {Promise<Snapshot>}
+ */
+readdirp.snapshot = function snapshot(root, options = {}) {
+  validateArguments(root, options);
+
+  return createSnapshot(new ReaddirpStream({ ...options, root, alwaysStat: true }));
+};
+
+/**
+ * Reads given root again and streams the differences with a snapshot.
+ * @param {Snapshot} snapshot Snapshot created by `readdirp.snapshot`
+ * @param {String|String[]} root Root directory, or root directories and globs matching them
+ * @param {ReaddirpArguments=} options Options used to create the snapshot
+ * @returns {Readable} stream of `DiffRecord`
+ */
+readdirp.diff = function diff(snapshot, root, options = {}) {
+  validateArguments(root, options);
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.entries)) {
+    throw new TypeError('readdirp: snapshot argument must be created by readdirp.snapshot(). Usage: readdirp.diff(snapshot, root, options)');
+  }
+
+  const stream = new ReaddirpStream({ ...options, root, alwaysStat: true });
+  return Readable.from(diffSnapshot(snapshot, stream));
+};
+
+/**
+ * Reads given root into a tree of nodes, directories having the entries found in them as children.
+ * @param {String} root Root directory
+ * @param {ReaddirpArguments=} options Options to specify filters and recursion depth, and `pruneEmpty`
+ * @returns {Promise<TreeNode>}
+ */
+readdirp.tree = function tree(root, options = {}) {
+  validateArguments(root, options);
+  if (Array.isArray(root)) {
+    throw new TypeError('readdirp: multiple roots are not supported by readdirp.tree');
+  }
+
+  const { pruneEmpty = false, ...streamOptions } = options;
+  const stream = new ReaddirpStream({ ...streamOptions, root, type: getTreeWalkType(options.type) });
+  return createTree(stream, Path.resolve(root), pruneEmpty, options.type);
+};
+
+/**
+ * Streams the entries matching glob patterns, e.g., `src/**\/*.{ts,tsx}` and `!**\/__snapshots__/**`.
+ * Only the static base of the patterns is walked, and in it only the directories which may contain a match.
+ * @param {String|String[]} patterns posix patterns relative to the `root` option, the current directory by default
+ * @param {ReaddirpArguments=} options Options to specify filters and recursion depth
+ * @returns {ReaddirpStream}
+ */
+readdirp.glob = function glob(patterns, options = {}) {
+  const list = [].concat(patterns);
+  if (list.length === 0 || !list.every(pattern => pattern && typeof pattern === 'string')) {
+    throw new TypeError('readdirp: patterns argument must be a string or an array of strings. Usage: readdirp.glob(patterns, options)');
+  }
+  if (list.some(pattern => Path.isAbsolute(pattern.replace(/^!/, '')))) {
+    throw new Error('readdirp: glob patterns must be relative to the root option');
+  }
+
+  const root = options.root || '.';
+  validateArguments(root, options);
+  if (Array.isArray(root)) {
+    throw new TypeError('readdirp: multiple roots are not supported by readdirp.glob');
+  }
+  return new ReaddirpStream({ ...options, root, glob: list });
+};
+
+/**
+ * Synchronous version of `readdirp`, returns the same entries as awaiting the stream.
+ * @param {String} root Root directory
+ * @param {ReaddirpArguments=} options Options to specify filters and recursion depth
+ * @returns {EntryInfo[]}
+ */
+export function readdirpSync(root, options = {}) {
+  return Array.from(readdirpSync.iterate(root, options));
+}
+
+/**
+ * Generator form of `readdirpSync`, yields entries one by one.
+ * @param {String} root Root directory
+ * @param {ReaddirpArguments=} options Options to specify filters and recursion depth
+ * @returns {Generator<EntryInfo>}
+ */
+readdirpSync.iterate = function iterate(root, options = {}) {
+  validateArguments(root, options);
+  if (Array.isArray(root)) {
+    throw new TypeError('readdirp: multiple roots are not supported by readdirpSync');
+  }
+  if (options.archives && options.archives.length > 0) {
+    throw new TypeError('readdirp: archives option is not supported by readdirpSync');
+  }
+  if (options.hash) {
+    throw new TypeError('readdirp: hash option is not supported by readdirpSync');
+  }
+  if (options.aggregate) {
+    throw new TypeError('readdirp: aggregate option is not supported by readdirpSync');
+  }
+  if (options.onError) {
+    throw new TypeError('readdirp: onError option is not supported by readdirpSync');
+  }
+  if (options.resumeFrom) {
+    throw new TypeError('readdirp: resumeFrom option is not supported by readdirpSync');
+  }
+  if (options.cache) {
+    throw new TypeError('readdirp: cache option is not supported by readdirpSync');
+  }
+  if (options.workers) {
+    throw new TypeError('readdirp: workers option is not supported by readdirpSync');
+  }
+  if (options.opendir) {
+    throw new TypeError('readdirp: opendir option is not supported by readdirpSync');
+  }
+
+  return new ReaddirpSync({ ...ReaddirpStream.defaultOptions, ...options, root }).entries();
+};
@@ -0,0 +1,530 @@
+import { pipeline } from 'stream';
+import { createGunzip } from 'zlib';
+import {
+  ARCHIVE_ERROR_CODE,
+  ZIP_FORMAT,
+  TAR_FORMAT,
+  TGZ_FORMAT
+} from './utils.js';
+
+const ARCHIVE_EXTENSIONS = [
+  ['.zip', ZIP_FORMAT],
+  ['.tar', TAR_FORMAT],
+  ['.tgz', TGZ_FORMAT],
+  ['.tar.gz', TGZ_FORMAT]
+];
+
+const S_IFMT = 0o170000;
+const S_IFREG = 0o100000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+const MEMBER_MODES = {
+  file: S_IFREG,
+  directory: S_IFDIR,
+  symlink: S_IFLNK,
+  'character-device': 0o020000,
+  'block-device': 0o060000,
+  fifo: 0o010000
+};
+
+const TAR_BLOCK_SIZE = 512;
+const TAR_TYPES = {
+  0: 'file',
+  '\0': 'file',
+  7: 'file',
+  2: 'symlink',
+  3: 'character-device',
+  4: 'block-device',
+  5: 'directory',
+  6: 'fifo'
+};
+const TAR_GNU_LONG_NAME = 'L';
+const TAR_PAX_HEADER = 'x';
+// Global pax headers and GNU long link names.
+const TAR_SKIPPED_TYPES = ['g', 'K'];
+// Long names and pax headers are read whole, larger ones can only be corrupt.
+const TAR_MAX_METADATA_SIZE = 1024 * 1024;
+
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_EOCD_SIZE = 22;
+const ZIP_MAX_COMMENT_SIZE = 0xffff;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_LOCATOR_SIZE = 20;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP64_EOCD_SIZE = 56;
+const ZIP_CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const ZIP_CENTRAL_HEADER_SIZE = 46;
+const ZIP_UNIX_HOST = 3;
+const ZIP64_EXTRA_ID = 0x0001;
+const ZIP64_SIZE_FIELD_SIZE = 8;
+const ZIP_TIMESTAMP_EXTRA_ID = 0x5455;
+const UINT16_MAX = 0xffff;
+const UINT32_MAX = 0xffffffff;
+
+/**
+ * A member of an archive, which stands for both the `fs.Dirent` and the `fs.Stats` of the entry.
+ */
+export class ArchiveMember {
+  /**
+   * @param {String} name
+   * @param {String} type `'file'`, `'directory'`, `'symlink'`, `'character-device'`, `'block-device'`,
+   *   `'fifo'` or `'other'`
+   * @param {{ size: Number, mode: Number, mtime: Date }} info
+   */
+  constructor(name, type, { size = 0, mode, mtime }) {
+    this.name = name;
+    this.type = type;
+    this.size = size;
+    this.mode = (MEMBER_MODES[type] || 0) | (mode & 0o7777);
+    this.mtime = mtime;
+    this.mtimeMs = mtime.getTime();
+  }
+
+  isFile() {
+    return this.type === 'file';
+  }
+
+  isDirectory() {
+    return this.type === 'directory';
+  }
+
+  isSymbolicLink() {
+    return this.type === 'symlink';
+  }
+
+  isCharacterDevice() {
+    return this.type === 'character-device';
+  }
+
+  isBlockDevice() {
+    return this.type === 'block-device';
+  }
+
+  isFIFO() {
+    return this.type === 'fifo';
+  }
+
+  isSocket() {
+    return false;
+  }
+}
+
+const createArchiveError = (fullPath, format, reason) => {
+  const archiveError = new Error(`Invalid ${format} archive "${fullPath}": ${reason}`);
+  archiveError.code = ARCHIVE_ERROR_CODE;
+  return archiveError;
+};
+
+/**
+ * Fields read out of their buffer, e.g., `ERR_OUT_OF_RANGE`, which the checks of the readers missed.
+ * @param {Error} err
+ * @param {String} fullPath
+ * @param {String} format
+ * @returns {Error} an archive error for those, `err` otherwise
+ */
+const toArchiveError = (err, fullPath, format) => (
+  err instanceof RangeError ? createArchiveError(fullPath, format, err.message) : err
+);
+
+const isValidTarSize = size => Number.isSafeInteger(size) && size >= 0;
+
+/**
+ * @param {String} basename
+ * @param {String[]} formats formats to look for
+ * @returns {String|undefined} format of the archive
+ */
+export const getArchiveFormat = (basename, formats) => {
+  const lowerCaseName = basename.toLowerCase();
+  const match = ARCHIVE_EXTENSIONS.find(([ext, format]) => lowerCaseName.endsWith(ext) && formats.includes(format));
+  return match && match[1];
+};
+
+/**
+ * Splits the name of a member into path segments, without the ones escaping the archive.
+ * @param {String} name
+ * @returns {String[]|null}
+ */
+const splitMemberName = (name) => {
+  const segments = name.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+  return segments.length === 0 || segments.includes('..') ? null : segments;
+};
+
+/**
+ * Groups the members by directory, directories missing from the archive are added.
+ * @param {Array<{ name: String, type: String, size: Number, mode: Number, mtime: Date }>} headers
+ * @returns {Map<String, ArchiveMember[]>} members by posix path of their directory, `''` for the top level
+ */
+const buildTree = (headers) => {
+  const tree = new Map([['', new Map()]]);
+  // Later headers override earlier ones with the same name, e.g., files appended to a tar archive.
+  const addMember = (dir, member) => {
+    tree.get(dir).set(member.name, member);
+    const path = dir ? `${dir}/${member.name}` : member.name;
+    if (member.isDirectory() && !tree.has(path)) {
+      tree.set(path, new Map());
+    }
+  };
+
+  for (const header of headers) {
+    const segments = splitMemberName(header.name);
+    if (!segments) {
+      continue;
+    }
+
+    let dir = '';
+    for (const segment of segments.slice(0, -1)) {
+      const path = dir ? `${dir}/${segment}` : segment;
+      if (!tree.has(path)) {
+        addMember(dir, new ArchiveMember(segment, 'directory', { mode: 0o755, mtime: header.mtime }));
+      }
+      dir = path;
+    }
+    addMember(dir, new ArchiveMember(segments[segments.length - 1], header.type, header));
+  }
+
+  return new Map(Array.from(tree, ([dir, members]) => [dir, Array.from(members.values())]));
+};
+
+const readNullTerminated = (buffer, start, end) => {
+  const field = buffer.subarray(start, end);
+  const nul = field.indexOf(0);
+  return field.toString('utf8', 0, nul === -1 ? field.length : nul);
+};
+
+const readTarNumber = (buffer, start, end) => {
+  // Base-256 encoding of GNU tar, for numbers which don't fit in octal.
+  if (buffer[start] & 0x80) {
+    let value = buffer[start] & 0x7f;
+    for (let i = start + 1; i < end; i++) {
+      value = (value * 256) + buffer[i];
+    }
+    return value;
+  }
+  return Number.parseInt(readNullTerminated(buffer, start, end).trim() || '0', 8);
+};
+
+const isTarChecksumValid = (header) => {
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+    // The checksum field counts as spaces.
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum === readTarNumber(header, 148, 156);
+};
+
+const parsePaxRecords = (content) => {
+  const records = {};
+  let offset = 0;
+  while (offset < content.length) {
+    const space = content.indexOf(0x20, offset);
+    const length = Number.parseInt(content.toString('utf8', offset, space));
+    if (space === -1 || !length) {
+      break;
+    }
+    const record = content.toString('utf8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+};
+
+/**
+ * @param {{ read: (length: Number) => Promise<Buffer>, skip: (length: Number) => Promise<void> }} reader
+ * @param {String} fullPath
+ * @returns {Promise<Array>} headers
+ */
+const readTarHeaders = async (reader, fullPath) => {
+  const headers = [];
+  // Overrides of the next header, by GNU long names and pax headers.
+  let overrides = {};
+  for (;;) {
+    const header = await reader.read(TAR_BLOCK_SIZE);
+    if (header.length < TAR_BLOCK_SIZE || header.every(byte => byte === 0)) {
+      return headers;
+    }
+    if (!isTarChecksumValid(header)) {
+      throw createArchiveError(fullPath, TAR_FORMAT, 'invalid header checksum');
+    }
+
+    const typeFlag = String.fromCharCode(header[156]);
+    const size = readTarNumber(header, 124, 136);
+    if (!isValidTarSize(size)) {
+      throw createArchiveError(fullPath, TAR_FORMAT, 'invalid member size');
+    }
+    const paddedSize = Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+    if (TAR_SKIPPED_TYPES.includes(typeFlag)) {
+      await reader.skip(paddedSize);
+      continue;
+    }
+    if (typeFlag === TAR_GNU_LONG_NAME || typeFlag === TAR_PAX_HEADER) {
+      if (size > TAR_MAX_METADATA_SIZE) {
+        throw createArchiveError(fullPath, TAR_FORMAT, 'extended header too large');
+      }
+      const content = await reader.read(paddedSize);
+      if (typeFlag === TAR_GNU_LONG_NAME) {
+        overrides.name = readNullTerminated(content, 0, size);
+      } else {
+        const records = parsePaxRecords(content.subarray(0, size));
+        overrides = {
+          ...overrides,
+          ...(records.path ? { name: records.path } : {}),
+          ...(records.size ? { size: Number(records.size) } : {}),
+          ...(records.mtime ? { mtime: new Date(Number(records.mtime) * 1000) } : {})
+        };
+      }
+      continue;
+    }
+
+    const isUstar = header.toString('ascii', 257, 262) === 'ustar';
+    const prefix = isUstar ? readNullTerminated(header, 345, 500) : '';
+    const name = readNullTerminated(header, 0, 100);
+    headers.push({
+      name: prefix ? `${prefix}/${name}` : name,
+      type: TAR_TYPES[typeFlag] || (name.endsWith('/') ? 'directory' : 'other'),
+      size,
+      mode: readTarNumber(header, 100, 108),
+      mtime: new Date(readTarNumber(header, 136, 148) * 1000),
+      ...overrides
+    });
+    overrides = {};
+    // Members with a pax size are stored with it too.
+    const memberSize = headers[headers.length - 1].size;
+    if (!isValidTarSize(memberSize)) {
+      throw createArchiveError(fullPath, TAR_FORMAT, 'invalid member size');
+    }
+    await reader.skip(Math.ceil(memberSize / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE);
+  }
+};
+
+const createFileReader = (handle) => {
+  let position = 0;
+  return {
+    read: async (length) => {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, position);
+      position += bytesRead;
+      return buffer.subarray(0, bytesRead);
+    },
+    skip: async (length) => {
+      position += length;
+    }
+  };
+};
+
+const createStreamReader = (stream) => {
+  const iterator = stream[Symbol.asyncIterator]();
+  let buffer = Buffer.alloc(0);
+  const fill = async (length) => {
+    while (buffer.length < length) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        return false;
+      }
+      buffer = buffer.length > 0 ? Buffer.concat([buffer, value]) : value;
+    }
+    return true;
+  };
+
+  return {
+    read: async (length) => {
+      await fill(length);
+      const chunk = buffer.subarray(0, length);
+      buffer = buffer.subarray(chunk.length);
+      return chunk;
+    },
+    skip: async (length) => {
+      while (length > 0 && await fill(1)) {
+        const skipped = Math.min(length, buffer.length);
+        buffer = buffer.subarray(skipped);
+        length -= skipped;
+      }
+    },
+    close: () => iterator.return()
+  };
+};
+
+const withFileHandle = async (fs, fullPath, fn) => {
+  const handle = await fs.promises.open(fullPath, 'r');
+  try {
+    return await fn(handle);
+  } finally {
+    await handle.close();
+  }
+};
+
+const readTar = (fs, fullPath) => withFileHandle(fs, fullPath, async (handle) => {
+  try {
+    return await readTarHeaders(createFileReader(handle), fullPath);
+  } catch (err) {
+    throw toArchiveError(err, fullPath, TAR_FORMAT);
+  }
+});
+
+const readTgz = async (fs, fullPath) => {
+  // eslint-disable-next-line no-empty-function
+  const gunzip = pipeline(fs.createReadStream(fullPath), createGunzip(), () => {});
+  const reader = createStreamReader(gunzip);
+  try {
+    return await readTarHeaders(reader, fullPath);
+  } catch (err) {
+    // zlib errors, e.g., `Z_DATA_ERROR` when it's not gzipped.
+    if (typeof err.code === 'string' && err.code.startsWith('Z_')) {
+      throw createArchiveError(fullPath, TGZ_FORMAT, err.message);
+    }
+    throw toArchiveError(err, fullPath, TGZ_FORMAT);
+  } finally {
+    await reader.close();
+  }
+};
+
+const readUInt64 = (buffer, offset) => buffer.readUInt32LE(offset) + (buffer.readUInt32LE(offset + 4) * 0x100000000);
+
+const readAt = async (handle, length, position) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * Finds the central directory from the end of central directory record.
+ * Offsets and sizes read from the file are checked against its size before anything is read or allocated with them.
+ * @returns {Promise<{ offset: Number, size: Number }>}
+ */
+const findZipCentralDirectory = async (handle, fullPath) => {
+  const { size } = await handle.stat();
+  const tailSize = Math.min(size, ZIP_EOCD_SIZE + ZIP_MAX_COMMENT_SIZE);
+  const tail = await readAt(handle, tailSize, size - tailSize);
+  let eocd = tail.length - ZIP_EOCD_SIZE;
+  while (eocd >= 0 && tail.readUInt32LE(eocd) !== ZIP_EOCD_SIGNATURE) {
+    eocd--;
+  }
+  if (eocd < 0) {
+    throw createArchiveError(fullPath, ZIP_FORMAT, 'end of central directory not found');
+  }
+
+  const directory = { offset: tail.readUInt32LE(eocd + 16), size: tail.readUInt32LE(eocd + 12) };
+  const isZip64 = tail.readUInt16LE(eocd + 10) === UINT16_MAX
+    || directory.size === UINT32_MAX
+    || directory.offset === UINT32_MAX;
+  const locator = eocd - ZIP64_LOCATOR_SIZE;
+  if (isZip64 && locator >= 0 && tail.readUInt32LE(locator) === ZIP64_LOCATOR_SIGNATURE) {
+    const zip64EocdOffset = readUInt64(tail, locator + 8);
+    if (zip64EocdOffset + ZIP64_EOCD_SIZE > size) {
+      throw createArchiveError(fullPath, ZIP_FORMAT, 'zip64 end of central directory out of bounds');
+    }
+    const zip64Eocd = await readAt(handle, ZIP64_EOCD_SIZE, zip64EocdOffset);
+    if (zip64Eocd.length < ZIP64_EOCD_SIZE || zip64Eocd.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+      throw createArchiveError(fullPath, ZIP_FORMAT, 'invalid zip64 end of central directory');
+    }
+    directory.size = readUInt64(zip64Eocd, 40);
+    directory.offset = readUInt64(zip64Eocd, 48);
+  }
+  if (directory.offset + directory.size > size) {
+    throw createArchiveError(fullPath, ZIP_FORMAT, 'central directory out of bounds');
+  }
+  return directory;
+};
+
+const readZipExtraFields = (extra) => {
+  const fields = new Map();
+  for (let offset = 0; offset + 4 <= extra.length;) {
+    const size = extra.readUInt16LE(offset + 2);
+    fields.set(extra.readUInt16LE(offset), extra.subarray(offset + 4, offset + 4 + size));
+    offset += 4 + size;
+  }
+  return fields;
+};
+
+const fromDosDateTime = (date, time) => new Date(
+  (date >> 9) + 1980,
+  ((date >> 5) & 0xf) - 1,
+  date & 0x1f,
+  time >> 11,
+  (time >> 5) & 0x3f,
+  (time & 0x1f) * 2
+);
+
+const readZipHeader = (directory, offset, fullPath) => {
+  const uncompressedSize = directory.readUInt32LE(offset + 24);
+  const nameLength = directory.readUInt16LE(offset + 28);
+  const extraLength = directory.readUInt16LE(offset + 30);
+  const commentLength = directory.readUInt16LE(offset + 32);
+  const isUnix = directory[offset + 5] === ZIP_UNIX_HOST;
+  const unixMode = directory.readUInt32LE(offset + 38) >>> 16;
+  const nameOffset = offset + ZIP_CENTRAL_HEADER_SIZE;
+  const next = nameOffset + nameLength + extraLength + commentLength;
+  if (next > directory.length) {
+    throw createArchiveError(fullPath, ZIP_FORMAT, 'truncated central directory header');
+  }
+  // Names are UTF-8 even without the flag for most archivers nowadays.
+  const name = directory.toString('utf8', nameOffset, nameOffset + nameLength);
+  const extra = readZipExtraFields(directory.subarray(nameOffset + nameLength, nameOffset + nameLength + extraLength));
+
+  let type = name.endsWith('/') ? 'directory' : 'file';
+  let mode = type === 'directory' ? 0o755 : 0o644;
+  if (isUnix) {
+    mode = unixMode;
+    if ((unixMode & S_IFMT) === S_IFLNK) {
+      type = 'symlink';
+    }
+  }
+  let size = uncompressedSize;
+  if (uncompressedSize === UINT32_MAX && extra.has(ZIP64_EXTRA_ID)) {
+    const zip64Extra = extra.get(ZIP64_EXTRA_ID);
+    if (zip64Extra.length < ZIP64_SIZE_FIELD_SIZE) {
+      throw createArchiveError(fullPath, ZIP_FORMAT, 'truncated zip64 extra field');
+    }
+    size = readUInt64(zip64Extra, 0);
+  }
+  const timestamp = extra.get(ZIP_TIMESTAMP_EXTRA_ID);
+  const mtime = timestamp && timestamp.length >= 5 && (timestamp[0] & 1)
+    ? new Date(timestamp.readUInt32LE(1) * 1000)
+    : fromDosDateTime(directory.readUInt16LE(offset + 14), directory.readUInt16LE(offset + 12));
+
+  return {
+    header: {
+      name,
+      type,
+      size,
+      mode,
+      mtime
+    },
+    next
+  };
+};
+
+const readZip = (fs, fullPath) => withFileHandle(fs, fullPath, async (handle) => {
+  try {
+    const { offset, size } = await findZipCentralDirectory(handle, fullPath);
+    const directory = await readAt(handle, size, offset);
+    const headers = [];
+    let position = 0;
+    while (position + ZIP_CENTRAL_HEADER_SIZE <= directory.length) {
+      if (directory.readUInt32LE(position) !== ZIP_CENTRAL_HEADER_SIGNATURE) {
+        throw createArchiveError(fullPath, ZIP_FORMAT, 'invalid central directory header');
+      }
+      const { header, next } = readZipHeader(directory, position, fullPath);
+      headers.push(header);
+      position = next;
+    }
+    return headers;
+  } catch (err) {
+    throw toArchiveError(err, fullPath, ZIP_FORMAT);
+  }
+});
+
+const ARCHIVE_READERS = {
+  [ZIP_FORMAT]: readZip,
+  [TAR_FORMAT]: readTar,
+  [TGZ_FORMAT]: readTgz
+};
+
+/**
+ * Reads the list of members of an archive, without extracting them.
+ * @param {Object} fs the `fs` module or the `fs` option
+ * @param {String} fullPath
+ * @param {String} format
+ * @returns {Promise<Map<String, ArchiveMember[]>>} members by posix path of their directory, `''` for the top level
+ */
+export const readArchive = async (fs, fullPath, format) => buildTree(await ARCHIVE_READERS[format](fs, fullPath));
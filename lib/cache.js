@@ -0,0 +1,121 @@
+import * as Path from 'path';
+import { getDirentType, toDirent } from './transfer.js';
+
+export const CACHE_VERSION = 2;
+// Name of the cache file when the `cache` option is a directory.
+export const CACHE_FILE_NAME = 'readdirp-cache.json';
+
+// Kinds of listings, which can't stand for each other.
+export const CACHE_KIND_DIRENT = 'dirent';
+export const CACHE_KIND_NAME = 'name';
+
+const isUnchanged = (record, dirStats) => record.mtimeMs === Number(dirStats.mtimeMs)
+  && record.ctimeMs === Number(dirStats.ctimeMs);
+
+const getEntryNames = ({ kind, entries }) => (kind === CACHE_KIND_DIRENT ? entries.map(([name]) => name) : entries);
+
+/**
+ * Listings of directories, reused as long as the mtime and ctime of the directories are the same.
+ * They are kept in a JSON file. Stats of the entries are not, as files modified in place don't change their directory.
+ */
+export class ScanCache {
+  /**
+   * Reads the cache file, a missing, invalid or outdated one giving an empty cache.
+   * @param {Object} fs
+   * @param {String} path cache file, or directory of a `readdirp-cache.json` file
+   * @returns {Promise<ScanCache>}
+   */
+  static async load(fs, path) {
+    let file = Path.resolve(path);
+    try {
+      if ((await fs.promises.stat(file)).isDirectory()) {
+        file = Path.join(file, CACHE_FILE_NAME);
+      }
+      const content = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      if (content.version === CACHE_VERSION && content.directories) {
+        return new ScanCache(fs, file, new Map(Object.entries(content.directories)));
+      }
+    } catch (err) {
+      // Made anew.
+    }
+    return new ScanCache(fs, file, new Map());
+  }
+
+  constructor(fs, file, records) {
+    this._fs = fs;
+    this.file = file;
+    // Records of the previous walks too, a walk of a part of the tree, e.g., with `depth`, keeping the others.
+    this._records = records;
+  }
+
+  /**
+   * @param {String} fullPath of a directory
+   * @param {fs.Stats} dirStats stats of the directory, taken before listing it
+   * @param {String} kind of listing
+   * @returns {Array<fs.Dirent|String>|null} `null` if it changed
+   */
+  get(fullPath, dirStats, kind) {
+    const record = this._records.get(fullPath);
+    if (!record || record.kind !== kind || !isUnchanged(record, dirStats)) {
+      return null;
+    }
+
+    if (kind === CACHE_KIND_DIRENT) {
+      return record.entries.map(([name, type]) => toDirent(name, type));
+    }
+    // Copied, as listings are consumed by the walk.
+    return record.entries.slice();
+  }
+
+  /**
+   * Records the listing of a directory, in place of the previous one.
+   * The records of the entries gone from it are dropped, along with the ones below them.
+   * @param {String} fullPath of a directory
+   * @param {fs.Stats} dirStats stats of the directory, taken before listing it
+   * @param {Array<fs.Dirent|String>} files
+   * @param {String} kind of listing
+   */
+  set(fullPath, dirStats, files, kind) {
+    const record = {
+      kind,
+      mtimeMs: Number(dirStats.mtimeMs),
+      ctimeMs: Number(dirStats.ctimeMs),
+      entries: kind === CACHE_KIND_DIRENT ? files.map(file => [file.name, getDirentType(file)]) : files.slice()
+    };
+    const previous = this._records.get(fullPath);
+    if (previous) {
+      const names = new Set(getEntryNames(record));
+      for (const name of getEntryNames(previous)) {
+        if (!names.has(name)) {
+          this.delete(Path.join(fullPath, name));
+        }
+      }
+    }
+    this._records.set(fullPath, record);
+  }
+
+  /**
+   * Drops the records of a directory gone, and of the ones below it.
+   * @param {String} fullPath of a directory
+   */
+  delete(fullPath) {
+    this._records.delete(fullPath);
+    const prefix = fullPath.endsWith(Path.sep) ? fullPath : `${fullPath}${Path.sep}`;
+    for (const path of this._records.keys()) {
+      if (path.startsWith(prefix)) {
+        this._records.delete(path);
+      }
+    }
+  }
+
+  /**
+   * Writes the records through a temporary file.
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const directories = Object.fromEntries(this._records);
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    await this._fs.promises.writeFile(tmpFile, JSON.stringify({ version: CACHE_VERSION, directories }));
+    await this._fs.promises.rename(tmpFile, this.file);
+  }
+}
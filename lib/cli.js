@@ -0,0 +1,285 @@
+import { once } from 'events';
+import * as Path from 'path';
+import { readdirp } from '../index.js';
+import { getStatsType } from './utils.js';
+import { isGlobRoot } from './roots.js';
+import { toJSONStats } from './transfer.js';
+
+export const EXIT_OK = 0;
+// Like `find`, some entries couldn't be read, see the `warn` event.
+export const EXIT_WARNINGS = 1;
+export const EXIT_ERROR = 2;
+export const EXIT_USAGE = 3;
+
+const FORMAT_PLAIN = 'plain';
+const FORMAT_NULL = 'null';
+const FORMAT_NDJSON = 'ndjson';
+const FORMAT_JSON = 'json';
+
+export const USAGE = `Usage: readdirp [options] [root...]
+
+Lists the files under the roots (the current directory by default), recursively.
+Globs in the roots, e.g., 'packages/*/lib', are expanded to the directories they match.
+
+Options:
+  -t, --type <type>                files, directories, files_directories or all (default: files)
+  -d, --depth <depth>              maximum depth of the directories walked
+  -f, --file-filter <glob>         filter of the files, repeatable, e.g., -f '*.js' -f '*.ts'
+  -D, --directory-filter <glob>    filter of the directories, repeatable, e.g., -D '!node_modules'
+      --filter-entry-key <key>     basename (default), path or fullPath
+      --lstat                      stats symlinks instead of their target
+      --stat                       stats every entry (alwaysStat)
+      --order <order>              dfs-pre, dfs-post or bfs
+      --sort <sort>                name or natural
+      --symlinks <mode>            follow (default), skip or report
+      --ignore-file <name>         respects the rules of this file, repeatable, e.g., .gitignore
+      --archives <formats>         walks into archives, comma separated, e.g., zip,tar,tgz
+      --hash <algorithm>           adds the digest of the files, e.g., sha256
+      --one-file-system            doesn't walk directories on other devices
+      --include-mount-points       emits the directories on other devices, without walking them
+      --aggregate                  adds totalSize, fileCount and dirCount to directories
+      --min-size <bytes>           only emits entries of at least this size
+      --max-size <bytes>           only emits entries of at most this size
+      --newer-than <date>          only emits entries newer than this date or timestamp in milliseconds
+      --older-than <date>          only emits entries older than this date or timestamp in milliseconds
+      --time-field <field>         mtime (default), ctime or birthtime
+      --mode <mask>                only emits entries with all the bits of this octal mask, e.g., 111
+      --uid <uid>                  only emits entries owned by this user id
+      --gid <gid>                  only emits entries owned by this group id
+      --empty                      only emits empty files and directories
+      --concurrency <count>        maximum count of concurrent fs operations
+      --cache <path>               reuses the listings of the directories unchanged since the last run
+      --opendir                    reads the entries of huge directories as they are printed
+
+Output:
+      --absolute                   prints full paths instead of paths relative to the root
+  -0, --null                       separates paths with NUL instead of new lines
+      --ndjson                     prints entries as JSON with their stats, one per line
+      --json                       prints entries as a JSON array with their stats
+  -h, --help                       prints this help
+
+Exit codes: 0 on success, ${EXIT_WARNINGS} if some entries couldn't be read,
+${EXIT_ERROR} on a fatal error, ${EXIT_USAGE} on invalid arguments.`;
+
+const toNumber = (value, name) => {
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number)) {
+    throw new Error(`${name} must be a number`);
+  }
+  return number;
+};
+
+const toDate = (value, name) => {
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name} must be a date or a timestamp in milliseconds`);
+  }
+  return date;
+};
+
+const toMode = (value, name) => {
+  if (!/^[0-7]+$/.test(value)) {
+    throw new Error(`${name} must be an octal mask`);
+  }
+  return Number.parseInt(value, 8);
+};
+
+const toList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Flags taking a value, by name, with the option they set.
+const VALUE_FLAGS = {
+  type: { alias: 't', option: 'type' },
+  depth: { alias: 'd', option: 'depth', parse: toNumber },
+  'file-filter': { alias: 'f', option: 'fileFilter', repeatable: true },
+  'directory-filter': { alias: 'D', option: 'directoryFilter', repeatable: true },
+  'filter-entry-key': { option: 'filterEntryKey' },
+  order: { option: 'order' },
+  sort: { option: 'sort' },
+  symlinks: { option: 'symlinks' },
+  'ignore-file': { option: 'respectIgnoreFiles', repeatable: true },
+  archives: { option: 'archives', parse: toList },
+  hash: { option: 'hash' },
+  'min-size': { option: 'minSize', parse: toNumber },
+  'max-size': { option: 'maxSize', parse: toNumber },
+  'newer-than': { option: 'newerThan', parse: toDate },
+  'older-than': { option: 'olderThan', parse: toDate },
+  'time-field': { option: 'timeField' },
+  mode: { option: 'mode', parse: toMode },
+  uid: { option: 'uid', parse: toNumber },
+  gid: { option: 'gid', parse: toNumber },
+  concurrency: { option: 'concurrency', parse: toNumber },
+  cache: { option: 'cache' }
+};
+
+// Flags without value, by name, with the option or setting they turn on.
+const BOOLEAN_FLAGS = {
+  lstat: { option: 'lstat' },
+  stat: { option: 'alwaysStat' },
+  'one-file-system': { option: 'oneFileSystem' },
+  'include-mount-points': { option: 'includeMountPoints' },
+  aggregate: { option: 'aggregate' },
+  empty: { option: 'empty' },
+  opendir: { option: 'opendir' },
+  absolute: { setting: 'absolute' },
+  null: { alias: '0', setting: 'format', value: FORMAT_NULL },
+  ndjson: { setting: 'format', value: FORMAT_NDJSON },
+  json: { setting: 'format', value: FORMAT_JSON },
+  help: { alias: 'h', setting: 'help' }
+};
+
+const findFlag = (flags, arg) => {
+  if (arg.startsWith('--')) {
+    const name = arg.slice(2);
+    return Object.prototype.hasOwnProperty.call(flags, name) ? name : undefined;
+  }
+  return Object.keys(flags).find(name => arg === `-${flags[name].alias}`);
+};
+
+/**
+ * Parses the arguments of the command line.
+ * @param {String[]} argv arguments, without the node executable and the script
+ * @returns {{ roots: String[], options: ReaddirpArguments, format: String, absolute: Boolean, help: Boolean }}
+ */
+export const parseArgs = (argv) => {
+  const roots = [];
+  const options = {};
+  const settings = { format: FORMAT_PLAIN, absolute: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      roots.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      roots.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+    const booleanName = findFlag(BOOLEAN_FLAGS, flag);
+    if (booleanName && inlineValue === undefined) {
+      const { option, setting, value = true } = BOOLEAN_FLAGS[booleanName];
+      if (option) {
+        options[option] = true;
+      } else {
+        settings[setting] = value;
+      }
+      continue;
+    }
+
+    const valueName = findFlag(VALUE_FLAGS, flag);
+    if (!valueName) {
+      throw new Error(`unknown option ${flag}`);
+    }
+    const value = inlineValue === undefined ? argv[++i] : inlineValue;
+    if (value === undefined) {
+      throw new Error(`option ${flag} requires a value`);
+    }
+
+    const { option, parse = v => v, repeatable } = VALUE_FLAGS[valueName];
+    const parsed = parse(value, flag);
+    options[option] = repeatable ? (options[option] || []).concat(parsed) : parsed;
+  }
+  return { roots, options, ...settings };
+};
+
+/**
+ * @param {EntryInfo} entry
+ * @returns {Object} JSON-serializable entry, with the type of the entry and its stats instead of `dirent`
+ */
+export const toJSONEntry = (entry) => {
+  const json = { ...entry };
+  delete json.dirent;
+  delete json.stats;
+  if (entry.stats) {
+    json.type = getStatsType(entry.stats);
+    json.stats = toJSONStats(entry.stats);
+  }
+  return json;
+};
+
+const formatPath = (entry, absolute) => {
+  if (absolute) {
+    return entry.fullPath;
+  }
+  // Paths found from several roots start with their root.
+  return entry.root ? Path.join(entry.root, entry.path) : entry.path;
+};
+
+const write = async (output, chunk) => {
+  if (!output.write(chunk)) {
+    await once(output, 'drain');
+  }
+};
+
+/**
+ * Runs the command line.
+ * @param {String[]} argv arguments, without the node executable and the script
+ * @param {{ stdout: Writable, stderr: Writable }} io
+ * @returns {Promise<Number>} exit code
+ */
+export const run = async (argv, { stdout, stderr }) => {
+  let args;
+  let stream;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      stdout.write(`${USAGE}\n`);
+      return EXIT_OK;
+    }
+
+    const { roots, options, format } = args;
+    if (format === FORMAT_NDJSON || format === FORMAT_JSON) {
+      options.alwaysStat = true;
+    }
+    if (roots.length === 0) {
+      roots.push('.');
+    }
+    // Globs are only expanded with multiple roots, a single glob may match several directories.
+    stream = readdirp(roots.length > 1 || roots.some(isGlobRoot) ? roots : roots[0], options);
+  } catch (err) {
+    stderr.write(`readdirp: ${err.message.replace(/^readdirp: /, '')}\nTry 'readdirp --help' for more information.\n`);
+    return EXIT_USAGE;
+  }
+
+  let warnings = 0;
+  stream.on('warn', (error) => {
+    warnings++;
+    stderr.write(`readdirp: ${error.message}\n`);
+  });
+  // E.g., `readdirp | head`, the rest of the entries is not wanted.
+  let closed = false;
+  stdout.on('error', (error) => {
+    closed = true;
+    stream.destroy(error.code === 'EPIPE' ? null : error);
+  });
+
+  const { format, absolute } = args;
+  let count = 0;
+  try {
+    if (format === FORMAT_JSON) {
+      await write(stdout, '[');
+    }
+    for await (const entry of stream) {
+      if (format === FORMAT_NDJSON) {
+        await write(stdout, `${JSON.stringify(toJSONEntry(entry))}\n`);
+      } else if (format === FORMAT_JSON) {
+        await write(stdout, `${count > 0 ? ',' : ''}\n${JSON.stringify(toJSONEntry(entry))}`);
+      } else {
+        await write(stdout, `${formatPath(entry, absolute)}${format === FORMAT_NULL ? '\0' : '\n'}`);
+      }
+      count++;
+    }
+    if (format === FORMAT_JSON) {
+      await write(stdout, count > 0 ? '\n]\n' : ']\n');
+    }
+  } catch (err) {
+    if (!closed) {
+      stderr.write(`readdirp: ${err.message}\n`);
+      return EXIT_ERROR;
+    }
+  }
+  return warnings > 0 ? EXIT_WARNINGS : EXIT_OK;
+};
@@ -0,0 +1,71 @@
+import * as Path from 'path';
+
+export const CURSOR_VERSION = 1;
+
+/**
+ * @typedef {Object} CursorDirectory
+ * @property {String} path path of the directory relative to root
+ * @property {Number} position count of its entries already handled, in the order of its listing
+ * @property {Boolean} postEntry whether the directory itself is still to be emitted, with `order: 'dfs-post'`
+ */
+
+/**
+ * @typedef {Object} Cursor
+ * @property {Number} version
+ * @property {String} root full path of the root
+ * @property {String|null} order
+ * @property {String[]} entries paths of the entries pushed to the stream but not read yet
+ * @property {CursorDirectory[]} directories directories still to be walked, in the order of `stream.parents`
+ */
+
+/**
+ * Tells why a stream can't be checkpointed or resumed, its state not being only made of paths.
+ * @param {ReaddirpArguments} options
+ * @returns {String|null}
+ */
+export const getUnsupportedReason = (options) => {
+  if (Array.isArray(options.root)) {
+    return 'multiple roots';
+  }
+  if (options.archives && options.archives.length > 0) {
+    return 'archives option';
+  }
+  if (options.aggregate) {
+    return 'aggregate option';
+  }
+  if (options.workers > 0) {
+    // Workers only send back the entries passing their filters, positions can't be told.
+    return 'workers option';
+  }
+  return null;
+};
+
+/**
+ * @param {Cursor} cursor
+ * @param {String} root full path of the root
+ * @param {String|null} order
+ */
+export const validateCursor = (cursor, root, order) => {
+  if (!cursor || cursor.version !== CURSOR_VERSION || !Array.isArray(cursor.entries)
+    || !Array.isArray(cursor.directories)) {
+    throw new TypeError('readdirp: resumeFrom option must be created by stream.checkpoint()');
+  }
+  if (cursor.root !== root || cursor.order !== order) {
+    throw new Error(`readdirp: resumeFrom cursor was taken from ${cursor.root} with order ${cursor.order}`);
+  }
+};
+
+/**
+ * @param {String} path relative to root
+ * @returns {String} `''` for the root
+ */
+export const getParentPath = (path) => {
+  const parentPath = Path.dirname(path);
+  return parentPath === '.' ? '' : parentPath;
+};
+
+/**
+ * @param {String} path of a directory, relative to root
+ * @returns {Number} depth of the entries of the directory, `1` for the root
+ */
+export const getEntriesDepth = path => (path ? path.split(Path.sep).length : 0) + 1;
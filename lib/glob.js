@@ -0,0 +1,125 @@
+import * as Path from 'path';
+import picomatch from 'picomatch';
+
+const GLOBSTAR = '**';
+const SLASH = '/';
+const PRUNED_SUFFIX = '/**';
+
+/**
+ * Splits a pattern into segments, `null` if a brace or an extglob spans several of them, e.g., `{a,b/c}`.
+ * @param {String} pattern
+ * @returns {String[]|null}
+ */
+const splitSegments = (pattern) => {
+  const segments = [];
+  let nesting = 0;
+  let start = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '{' || char === '(') {
+      nesting++;
+    } else if (char === '}' || char === ')') {
+      nesting--;
+    } else if (char === SLASH) {
+      if (nesting > 0) {
+        return null;
+      }
+      segments.push(pattern.slice(start, i));
+      start = i + 1;
+    }
+  }
+  segments.push(pattern.slice(start));
+  return segments;
+};
+
+const parsePattern = (input) => {
+  const { base, glob, isGlob } = picomatch.scan(input);
+  const pattern = base && glob ? `${base}/${glob}` : base || glob;
+  const segments = splitSegments(pattern);
+  return {
+    pattern,
+    // A pattern without glob may be a file, so its directory is walked.
+    base: isGlob ? base : Path.posix.dirname(base).replace(/^\.$/, ''),
+    segments,
+    matchers: segments && segments.map(segment => (segment === GLOBSTAR ? null : picomatch(segment)))
+  };
+};
+
+/**
+ * Tells whether a directory may contain a path matching the pattern, from the leading segments of the pattern.
+ * @param {Object} parsed see `parsePattern`
+ * @param {String[]} dirSegments
+ * @returns {Boolean}
+ */
+const mayContainMatch = ({ segments, matchers }, dirSegments) => {
+  if (!segments) {
+    return true;
+  }
+
+  for (let i = 0; i < dirSegments.length; i++) {
+    if (i >= segments.length) {
+      return false;
+    }
+    if (segments[i] === GLOBSTAR) {
+      return true;
+    }
+    if (!matchers[i](dirSegments[i])) {
+      return false;
+    }
+  }
+  return segments.length > dirSegments.length;
+};
+
+const commonBase = (bases) => {
+  const [first, ...rest] = bases.map(base => (base ? base.split(SLASH) : []));
+  let length = first.length;
+  for (const segments of rest) {
+    let i = 0;
+    while (i < length && segments[i] === first[i]) {
+      i++;
+    }
+    length = i;
+  }
+  return first.slice(0, length).join(SLASH);
+};
+
+/**
+ * Compiles the patterns of `readdirp.glob`, negated ones excluding what they match.
+ * Directories are only walked if they may contain a match and aren't excluded with their content, e.g., by `!dist/**`.
+ * @param {String[]} patterns posix patterns relative to the root
+ * @returns {{ base: String, isMatch: Function, mayContainMatch: Function }} `base` is the posix directory to start from
+ */
+export const compileGlob = (patterns) => {
+  const positive = [];
+  const negative = [];
+  for (const item of patterns) {
+    const trimmed = item.trim();
+    if (trimmed.charAt(0) === '!') {
+      negative.push(parsePattern(trimmed.substring(1)).pattern);
+    } else {
+      positive.push(parsePattern(trimmed));
+    }
+  }
+  if (positive.length === 0) {
+    throw new Error('readdirp: glob patterns must include at least one pattern which is not negated');
+  }
+
+  const isIncluded = picomatch(positive.map(parsed => parsed.pattern));
+  const isExcluded = negative.length > 0 ? picomatch(negative) : () => false;
+  const pruned = negative
+    .filter(pattern => pattern.endsWith(PRUNED_SUFFIX))
+    .map(pattern => picomatch(pattern.slice(0, -PRUNED_SUFFIX.length)));
+  return {
+    base: commonBase(positive.map(parsed => parsed.base)),
+    isMatch: path => isIncluded(path) && !isExcluded(path),
+    mayContainMatch: (dirPath) => {
+      if (pruned.some(isPruned => isPruned(dirPath))) {
+        return false;
+      }
+      const dirSegments = dirPath.split(SLASH);
+      return positive.some(parsed => mayContainMatch(parsed, dirSegments));
+    }
+  };
+};
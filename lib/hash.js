@@ -0,0 +1,48 @@
+import { createHash, getHashes } from 'crypto';
+
+const DEFAULT_HASH_ALGORITHM = 'sha256';
+
+/**
+ * @typedef {Object} HashOptions
+ * @property {String=} algorithm name of a `crypto` hash algorithm, default is `'sha256'`
+ * @property {Number=} maxSize files larger than it are not hashed
+ * @property {{ get: Function, set: Function }=} cache e.g., a `Map`, keyed by full path, size and mtime
+ */
+
+/**
+ * @param {Boolean|String|HashOptions} hash
+ * @returns {HashOptions|null}
+ */
+export const normalizeHash = (hash) => {
+  if (!hash) {
+    return null;
+  }
+
+  const options = {
+    algorithm: DEFAULT_HASH_ALGORITHM,
+    maxSize: Infinity,
+    cache: null,
+    ...(typeof hash === 'string' ? { algorithm: hash } : hash)
+  };
+  if (!getHashes().includes(options.algorithm.toLowerCase())) {
+    throw new Error(`readdirp: Invalid hash algorithm passed: ${options.algorithm}`);
+  }
+  return options;
+};
+
+export const getHashCacheKey = (fullPath, stats) => `${fullPath}:${stats.size}:${stats.mtimeMs}`;
+
+/**
+ * Streams a file through `crypto`.
+ * @param {Object} fs the `fs` module or the `fs` option
+ * @param {String} fullPath
+ * @param {String} algorithm
+ * @returns {Promise<String>} hex digest
+ */
+export const hashFile = (fs, fullPath, algorithm) => new Promise((resolve, reject) => {
+  const hash = createHash(algorithm);
+  fs.createReadStream(fullPath)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
@@ -0,0 +1,96 @@
+import picomatch from 'picomatch';
+import { toPosixPath } from './utils.js';
+
+const BANG = '!';
+const HASH = '#';
+const SLASH = '/';
+const BACKSLASH = '\\';
+
+/**
+ * @typedef {Object} IgnoreRule
+ * @property {String} base posix path of the directory holding the ignore file, relative to root
+ * @property {Boolean} negate
+ * @property {Boolean} dirOnly
+ * @property {Function} match
+ */
+
+/**
+ * Parses the content of a gitignore-style file.
+ * @param {String} content
+ * @param {String} base posix path of the directory holding the ignore file, relative to root
+ * @returns {IgnoreRule[]}
+ */
+export const parseIgnoreFile = (content, base) => {
+  const rules = [];
+  for (let line of content.split(/\r?\n/)) {
+    // Trailing spaces are ignored unless they are quoted with backslash.
+    line = line.replace(/(^|[^\\])\s+$/, '$1');
+    if (!line || line.charAt(0) === HASH) {
+      continue;
+    }
+
+    let negate = false;
+    if (line.charAt(0) === BANG) {
+      negate = true;
+      line = line.substring(1);
+    } else if (line.charAt(0) === BACKSLASH && (line.charAt(1) === BANG || line.charAt(1) === HASH)) {
+      line = line.substring(1);
+    }
+
+    let dirOnly = false;
+    if (line.endsWith(SLASH)) {
+      dirOnly = true;
+      line = line.substring(0, line.length - 1);
+    }
+    if (!line) {
+      continue;
+    }
+
+    // A pattern with a slash at the beginning or middle is relative to the ignore file's directory,
+    // otherwise it may match at any level below it.
+    const anchored = line.includes(SLASH);
+    if (line.charAt(0) === SLASH) {
+      line = line.substring(1);
+    }
+
+    rules.push({
+      base,
+      negate,
+      dirOnly,
+      match: picomatch(anchored ? line : `**/${line}`, { dot: true })
+    });
+  }
+  return rules;
+};
+
+/**
+ * The last matching rule decides, so rules of deeper ignore files override the outer ones.
+ * @param {IgnoreRule[]} rules
+ * @param {String} path posix path relative to root
+ * @param {Boolean} isDir
+ */
+export const isIgnored = (rules, path, isDir) => {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const rule = rules[i];
+    if (rule.dirOnly && !isDir) {
+      continue;
+    }
+
+    let relativePath = path;
+    if (rule.base) {
+      if (!path.startsWith(`${rule.base}${SLASH}`)) {
+        continue;
+      }
+      relativePath = path.substring(rule.base.length + 1);
+    }
+
+    if (rule.match(relativePath)) {
+      return !rule.negate;
+    }
+  }
+  return false;
+};
+
+export const isIgnoredEntry = (rules, entry, entryType) => {
+  return rules.length > 0 && isIgnored(rules, toPosixPath(entry.path), entryType === 'directory');
+};
@@ -0,0 +1,73 @@
+const TOO_MANY_FILES_ERRORS = ['EMFILE', 'ENFILE'];
+const RETRY_DELAY = 10;
+const MAX_RETRY_DELAY = 100;
+const RETRY_TIMEOUT = 60000;
+
+const isTooManyFilesError = error => TOO_MANY_FILES_ERRORS.includes(error.code);
+
+/**
+ * Creates a function which runs async operations with at most `concurrency` of them in flight.
+ * Operations failing with EMFILE or ENFILE are queued again and retried,
+ * once another operation completes or after a short delay, for up to a minute.
+ * @param {Number} concurrency
+ * @returns {<T>(fn: () => Promise<T>) => Promise<T>}
+ */
+export const createLimiter = (concurrency) => {
+  const queue = [];
+  let active = 0;
+  let timer = null;
+
+  const schedule = () => {
+    while (active < concurrency && queue.length > 0) {
+      // eslint-disable-next-line no-use-before-define
+      run(queue.shift());
+    }
+  };
+
+  const retryLater = (task) => {
+    queue.unshift(task);
+    // Nothing else in flight would trigger the retry, so wait a bit.
+    if (active === 0 && !timer) {
+      const retryDelay = Math.min(RETRY_DELAY * task.attempts, MAX_RETRY_DELAY);
+      timer = setTimeout(() => {
+        timer = null;
+        schedule();
+      }, retryDelay);
+    }
+  };
+
+  const run = async (task) => {
+    active++;
+    let result;
+    try {
+      result = await task.fn();
+    } catch (err) {
+      active--;
+      task.attempts++;
+      if (!task.firstFailedAt) {
+        task.firstFailedAt = Date.now();
+      }
+      if (isTooManyFilesError(err) && Date.now() - task.firstFailedAt < RETRY_TIMEOUT) {
+        retryLater(task);
+      } else {
+        task.reject(err);
+        schedule();
+      }
+      return;
+    }
+    active--;
+    task.resolve(result);
+    schedule();
+  };
+
+  return fn => new Promise((resolve, reject) => {
+    queue.push({
+      fn,
+      resolve,
+      reject,
+      attempts: 0,
+      firstFailedAt: 0
+    });
+    schedule();
+  });
+};
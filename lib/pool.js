@@ -0,0 +1,163 @@
+import { Worker } from 'worker_threads';
+import { fromTransferableError } from './transfer.js';
+
+const WORKER_URL = new URL('./worker.js', import.meta.url);
+
+// Options of the walker which can be posted to the workers, function filters are run by the main thread.
+const WORKER_OPTIONS = [
+  'root',
+  'filterEntryKey',
+  'type',
+  'lstat',
+  'depth',
+  'alwaysStat',
+  'suppressNormalFlowError',
+  'respectIgnoreFiles',
+  'order',
+  'sort',
+  'symlinks',
+  'oneFileSystem',
+  'includeMountPoints',
+  'minSize',
+  'maxSize',
+  'newerThan',
+  'olderThan',
+  'timeField',
+  'mode',
+  'uid',
+  'gid',
+  'empty'
+];
+
+// Operations of the errors of the workers, by system call.
+const OPERATIONS = {
+  scandir: 'readdir',
+  stat: 'stat',
+  lstat: 'lstat',
+  realpath: 'realpath',
+  readlink: 'readlink',
+  open: 'readFile',
+  read: 'readFile'
+};
+
+/**
+ * @param {Error} err error of a worker
+ * @returns {String} operation of the error, `'walk'` for a cycle
+ */
+export const getErrorOperation = err => OPERATIONS[err.syscall] || 'walk';
+
+/**
+ * Tells why directories can't be explored by workers, the state or the options of the walk not being postable.
+ * @param {ReaddirpArguments} options
+ * @returns {String|null}
+ */
+export const getWorkersUnsupportedReason = (options) => {
+  const unsupported = {
+    'multiple roots': Array.isArray(options.root),
+    'fs option': options.fs,
+    'archives option': options.archives && options.archives.length > 0,
+    'aggregate option': options.aggregate,
+    'hash option': options.hash,
+    'onError option': options.onError,
+    'cache option': options.cache,
+    'opendir option': options.opendir,
+    'a sort function': typeof options.sort === 'function',
+    'readdirp.glob': options.glob
+  };
+  return Object.keys(unsupported).find(reason => unsupported[reason]) || null;
+};
+
+/**
+ * Worker threads exploring directories from a shared queue, each one taken by the first idle worker.
+ */
+export class WorkerPool {
+  /**
+   * @param {Number} size count of workers
+   * @param {ReaddirpArguments} options
+   * @param {Function} onError called once a worker fails
+   */
+  constructor(size, options, onError) {
+    const workerData = {};
+    for (const key of WORKER_OPTIONS) {
+      if (options[key] !== undefined) {
+        workerData[key] = options[key];
+      }
+    }
+    for (const key of ['fileFilter', 'directoryFilter']) {
+      if (typeof options[key] !== 'function') {
+        workerData[key] = options[key];
+      }
+    }
+
+    this._queue = [];
+    this._idle = [];
+    // Jobs of the busy workers, by worker.
+    this._jobs = new Map();
+    this._nextId = 0;
+    this._closed = false;
+    this._workers = Array.from({ length: size }, () => {
+      const worker = new Worker(WORKER_URL, { workerData });
+      worker.on('message', message => this._onMessage(worker, message));
+      worker.on('error', (err) => {
+        this.close();
+        onError(err);
+      });
+      // Like pending reads, only the busy workers keep the process alive.
+      worker.unref();
+      this._idle.push(worker);
+      return worker;
+    });
+  }
+
+  /**
+   * @param {Object} task see `WorkerWalker#explore`
+   * @returns {Promise<Object>} listing of the directory
+   */
+  explore(task) {
+    return new Promise((resolve, reject) => {
+      this._queue.push({ task, resolve, reject });
+      this._dispatch();
+    });
+  }
+
+  _dispatch() {
+    while (!this._closed && this._idle.length > 0 && this._queue.length > 0) {
+      const worker = this._idle.pop();
+      const job = this._queue.shift();
+      job.id = this._nextId++;
+      this._jobs.set(worker, job);
+      worker.ref();
+      worker.postMessage({ id: job.id, task: job.task });
+    }
+  }
+
+  _onMessage(worker, { id, result, error }) {
+    const job = this._jobs.get(worker);
+    if (!job || job.id !== id) {
+      return;
+    }
+
+    this._jobs.delete(worker);
+    worker.unref();
+    this._idle.push(worker);
+    if (error) {
+      job.reject(fromTransferableError(error));
+    } else {
+      job.resolve(result);
+    }
+    this._dispatch();
+  }
+
+  /**
+   * Terminates the workers. Pending explorations never settle.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this._closed) {
+      return;
+    }
+    this._closed = true;
+    this._queue = [];
+    await Promise.all(this._workers.map(worker => worker.terminate()));
+  }
+}
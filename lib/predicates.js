@@ -0,0 +1,49 @@
+const isSet = value => value !== null && value !== undefined;
+
+const toTime = date => (date instanceof Date ? date.getTime() : date);
+
+/**
+ * Compiles the find-style predicates of the options: `minSize`, `maxSize`, `newerThan`, `olderThan`,
+ * `mode`, `uid`, `gid` and `empty`.
+ * @param {ReaddirpArguments} options
+ * @returns {{ test: Function|null, empty: Boolean|null }|null} `test` checks stats, `null` without any predicate
+ */
+export const createPredicate = (options) => {
+  const checks = [];
+  if (isSet(options.minSize)) {
+    checks.push(stats => Number(stats.size) >= options.minSize);
+  }
+  if (isSet(options.maxSize)) {
+    checks.push(stats => Number(stats.size) <= options.maxSize);
+  }
+
+  const timeProp = `${options.timeField || 'mtime'}Ms`;
+  if (isSet(options.newerThan)) {
+    const time = toTime(options.newerThan);
+    checks.push(stats => Number(stats[timeProp]) > time);
+  }
+  if (isSet(options.olderThan)) {
+    const time = toTime(options.olderThan);
+    checks.push(stats => Number(stats[timeProp]) < time);
+  }
+
+  if (isSet(options.mode)) {
+    const { all = 0, any = 0 } = typeof options.mode === 'number' ? { all: options.mode } : options.mode;
+    checks.push(stats => (Number(stats.mode) & all) === all && (!any || (Number(stats.mode) & any) !== 0));
+  }
+  if (isSet(options.uid)) {
+    checks.push(stats => Number(stats.uid) === options.uid);
+  }
+  if (isSet(options.gid)) {
+    checks.push(stats => Number(stats.gid) === options.gid);
+  }
+
+  const empty = isSet(options.empty) ? Boolean(options.empty) : null;
+  if (checks.length === 0 && empty === null) {
+    return null;
+  }
+  return {
+    test: checks.length > 0 ? stats => checks.every(check => check(stats)) : null,
+    empty
+  };
+};
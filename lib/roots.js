@@ -0,0 +1,86 @@
+import * as Path from 'path';
+import picomatch from 'picomatch';
+
+const GLOBSTAR = '**';
+
+const isDirectory = async (fs, path) => {
+  try {
+    return (await fs.promises.stat(path)).isDirectory();
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Names of the subdirectories of a directory, none when it can't be read.
+ * Symlinks to directories are only followed when asked, so that `**` can't loop.
+ * @returns {Promise<String[]>}
+ */
+const listDirectories = async (fs, dir, followSymlinks) => {
+  let dirents;
+  try {
+    dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    return [];
+  }
+
+  const names = [];
+  for (const dirent of dirents) {
+    const path = Path.join(dir, dirent.name);
+    if (dirent.isDirectory() || (followSymlinks && dirent.isSymbolicLink() && await isDirectory(fs, path))) {
+      names.push(dirent.name);
+    }
+  }
+  return names.sort();
+};
+
+const expandSegments = async (fs, dir, segments) => {
+  if (segments.length === 0) {
+    return [dir];
+  }
+
+  const [segment, ...rest] = segments;
+  const matches = [];
+  if (segment === GLOBSTAR) {
+    // Zero or more directories.
+    matches.push(...await expandSegments(fs, dir, rest));
+    for (const name of await listDirectories(fs, dir, false)) {
+      matches.push(...await expandSegments(fs, Path.join(dir, name), segments));
+    }
+    return matches;
+  }
+
+  const isMatch = picomatch(segment);
+  for (const name of await listDirectories(fs, dir, true)) {
+    if (isMatch(name)) {
+      matches.push(...await expandSegments(fs, Path.join(dir, name), rest));
+    }
+  }
+  return matches;
+};
+
+/**
+ * @param {String} root
+ * @returns {Boolean} whether the root is a glob, to be expanded
+ */
+export const isGlobRoot = root => picomatch.scan(root).isGlob;
+
+/**
+ * Replaces the roots with a glob, e.g., `packages/*\/lib`, by the directories they match, in name order.
+ * Duplicates are left to the walker, which tells them by real path.
+ * @param {Object} fs
+ * @param {String[]} roots
+ * @returns {Promise<String[]>}
+ */
+export const expandRoots = async (fs, roots) => {
+  const expanded = [];
+  for (const root of roots) {
+    const { isGlob, base, glob } = picomatch.scan(root);
+    if (isGlob) {
+      expanded.push(...await expandSegments(fs, base || '.', glob.split('/')));
+    } else {
+      expanded.push(root);
+    }
+  }
+  return expanded;
+};
@@ -0,0 +1,105 @@
+import * as Path from 'path';
+import { toPosixPath, getStatsType } from './utils.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * @typedef {Object} SnapshotEntry
+ * @property {String} path posix path relative to root
+ * @property {String} type `'file'`, `'directory'`, `'symlink'` or `'other'`
+ * @property {Number} size
+ * @property {Number} mtimeMs
+ * @property {String=} hash
+ */
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {Number} version
+ * @property {SnapshotEntry[]} entries
+ */
+
+/**
+ * @typedef {Object} DiffRecord
+ * @property {String} change `'added'`, `'removed'`, `'modified'` or `'typeChanged'`
+ * @property {String} path posix path relative to root
+ * @property {SnapshotEntry=} before
+ * @property {SnapshotEntry=} after
+ */
+
+/**
+ * @param {EntryInfo} entry entry with `stats`, and `hash` for files if it was asked
+ * @returns {SnapshotEntry}
+ */
+const toSnapshotEntry = (entry) => {
+  const { stats } = entry;
+  const snapshotEntry = {
+    // Paths of entries found from multiple roots start with their root.
+    path: toPosixPath(entry.root ? Path.join(entry.root, entry.path) : entry.path),
+    type: getStatsType(stats),
+    // Stats may be bigint on windows.
+    size: Number(stats.size),
+    mtimeMs: Number(stats.mtimeMs)
+  };
+  if (entry.hash) {
+    snapshotEntry.hash = entry.hash;
+  }
+  return snapshotEntry;
+};
+
+const isModified = (before, after) => {
+  if (after.type === 'directory') {
+    return false;
+  }
+  if (before.size !== after.size || before.mtimeMs !== after.mtimeMs) {
+    return true;
+  }
+  return Boolean(before.hash && after.hash) && before.hash !== after.hash;
+};
+
+/**
+ * @param {ReaddirpStream} stream stream created with `alwaysStat: true`
+ * @returns {Promise<Snapshot>}
+ */
+export const createSnapshot = async (stream) => {
+  const entries = [];
+  for await (const entry of stream) {
+    entries.push(toSnapshotEntry(entry));
+  }
+  return { version: SNAPSHOT_VERSION, entries };
+};
+
+/**
+ * @param {Snapshot} snapshot
+ * @param {ReaddirpStream} stream stream created with `alwaysStat: true`
+ * @returns {AsyncGenerator<DiffRecord>}
+ */
+export async function* diffSnapshot(snapshot, stream) {
+  const previous = new Map(snapshot.entries.map(before => [before.path, before]));
+  for await (const entry of stream) {
+    const after = toSnapshotEntry(entry);
+    const before = previous.get(after.path);
+    previous.delete(after.path);
+
+    if (!before) {
+      yield { change: 'added', path: after.path, after };
+    } else if (before.type !== after.type) {
+      yield {
+        change: 'typeChanged',
+        path: after.path,
+        before,
+        after
+      };
+    } else if (isModified(before, after)) {
+      yield {
+        change: 'modified',
+        path: after.path,
+        before,
+        after
+      };
+    }
+  }
+
+  for (const before of previous.values()) {
+    yield { change: 'removed', path: before.path, before };
+  }
+}
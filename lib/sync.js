@@ -0,0 +1,342 @@
+import * as fs from 'fs';
+import * as Path from 'path';
+import {
+  isNormalFlowError,
+  createRecursiveError,
+  getFileId,
+  SYMLINKS_SKIP,
+  SYMLINKS_REPORT,
+  toPosixPath,
+  setupWalker,
+  sortFiles
+} from './utils.js';
+import { parseIgnoreFile, isIgnoredEntry } from './ignore.js';
+
+export class ReaddirpSync {
+  /**
+   * @param {ReaddirpArguments} options
+   */
+  constructor(options) {
+    this._fs = options.fs || fs;
+    setupWalker(this, options, { stat: this._fs.statSync.bind(this._fs), lstat: this._fs.lstatSync.bind(this._fs) });
+  }
+
+  * entries() {
+    const rootAncestor = { fullPath: this._root, id: null, parent: null };
+    if (this._depthFirst) {
+      yield* this._walkDepthFirst(this._exploreDir(this._root, '', 1, [], rootAncestor));
+      return;
+    }
+
+    // Mirrors the order of `ReaddirpStream#parents`, directories are read once they are reached.
+    const root = {
+      fullPath: this._root,
+      path: '',
+      depth: 1,
+      ignoreRules: [],
+      ancestor: rootAncestor
+    };
+    const parents = [root];
+    while (parents.length > 0) {
+      const next = this._breadthFirst ? parents.shift() : parents.pop();
+      const parent = this._exploreDir(next.fullPath, next.path, next.depth, next.ignoreRules, next.ancestor);
+      for (const dirent of parent.files) {
+        const {
+          entry,
+          recurse,
+          emit,
+          ancestor
+        } = this._processEntry(dirent, parent);
+        if (recurse) {
+          parents.push({
+            fullPath: entry.fullPath,
+            path: entry.path,
+            depth: parent.depth + 1,
+            ignoreRules: parent.ignoreRules,
+            ancestor
+          });
+        }
+
+        if (emit) {
+          yield entry;
+        }
+      }
+    }
+  }
+
+  * _walkDepthFirst(parent) {
+    for (const dirent of parent.files) {
+      const {
+        entry,
+        recurse,
+        emit,
+        ancestor
+      } = this._processEntry(dirent, parent);
+      if (emit && !this._postOrder) {
+        yield entry;
+      }
+
+      if (recurse) {
+        const child = this._exploreDir(entry.fullPath, entry.path, parent.depth + 1, parent.ignoreRules, ancestor);
+        yield* this._walkDepthFirst(child);
+      }
+
+      if (emit && this._postOrder) {
+        yield entry;
+      }
+    }
+  }
+
+  _processEntry(dirent, parent) {
+    const { fullPath, path, ignoreRules } = parent;
+    const entry = this._formatEntry(dirent, fullPath, path);
+    if (this._symlinks === SYMLINKS_SKIP && entry && entry[this._statsProp].isSymbolicLink()) {
+      return {};
+    }
+
+    const entryType = this._getEntryType(entry);
+    // Entries rejected by filters, ignore rules or predicates are `filtered`, see `ReaddirpStream#_handleResult`.
+    if (isIgnoredEntry(ignoreRules, entry, entryType)) {
+      return { filtered: true };
+    }
+
+    if (entryType === 'directory' && this._applyFilter(this._directoryFilter, entry)) {
+      return this._processDirectory(entry, parent);
+    }
+
+    const isFile = entryType === 'file' || entryType === 'symlink' || this._includeAsFile(entry);
+    if (isFile && this._applyFilter(this._fileFilter, entry)) {
+      const emit = this._wantsFile && this._matchesPredicate(entry, false);
+      return { entry, emit, filtered: this._wantsFile && !emit };
+    }
+
+    return { filtered: (isFile && this._wantsFile) || entryType === 'directory' };
+  }
+
+  _processDirectory(entry, parent) {
+    let recurse = parent.depth <= this._maxDepth;
+    let targetStats = null;
+    if (this._oneFileSystem) {
+      try {
+        targetStats = this._getTargetStats(entry);
+        if (targetStats.dev !== this._getRootDev()) {
+          if (!this._includeMountPoints) {
+            return {};
+          }
+          entry.mountPoint = true;
+          recurse = false;
+        }
+      } catch (err) {
+        this._onError(err);
+        return {};
+      }
+    }
+
+    const ancestor = recurse ? this._createAncestor(entry, parent, targetStats) : null;
+    if (ancestor === false) {
+      return {};
+    }
+
+    const emit = this._wantsDir && this._matchesPredicate(entry, true);
+    return {
+      entry,
+      recurse,
+      emit,
+      ancestor,
+      filtered: this._wantsDir && !emit
+    };
+  }
+
+  // See `ReaddirpStream#_matchesPredicate`.
+  _matchesPredicate(entry, directory) {
+    if (!this._predicate) {
+      return true;
+    }
+
+    const { test, empty } = this._predicate;
+    try {
+      // Directories are only stated for a stats predicate.
+      if (!entry.stats && (test || !directory)) {
+        entry.stats = this._stat(entry.fullPath);
+      }
+      if (test && !test(entry.stats)) {
+        return false;
+      }
+      if (empty === null) {
+        return true;
+      }
+      const isEmpty = directory
+        ? this._fs.readdirSync(entry.fullPath).length === 0
+        : Number(entry.stats.size) === 0;
+      return isEmpty === empty;
+    } catch (err) {
+      this._onError(err);
+      return false;
+    }
+  }
+
+  // See `ReaddirpStream#_createAncestor`.
+  _createAncestor(entry, parent, targetStats = null) {
+    const ancestor = { fullPath: entry.fullPath, id: null, parent: parent.ancestor };
+    const stats = entry[this._statsProp];
+    try {
+      if (!this._isDirent && !this._lstat) {
+        ancestor.id = getFileId(stats);
+      } else if (stats.isSymbolicLink()) {
+        ancestor.id = getFileId(targetStats || this._statTarget(entry.fullPath));
+      } else {
+        return ancestor;
+      }
+    } catch (err) {
+      this._onError(err);
+      return false;
+    }
+
+    for (let current = ancestor.parent; ancestor.id && current; current = current.parent) {
+      if (ancestor.id === this._getAncestorId(current)) {
+        this._onError(createRecursiveError(entry.fullPath, current.fullPath));
+        return false;
+      }
+    }
+    return ancestor;
+  }
+
+  _getTargetStats(entry) {
+    const stats = entry[this._statsProp];
+    return !this._isDirent && !stats.isSymbolicLink() ? stats : this._statTarget(entry.fullPath);
+  }
+
+  _getRootDev() {
+    if (this._rootDev === null) {
+      this._rootDev = this._statTarget(this._root).dev;
+    }
+    return this._rootDev;
+  }
+
+  _getAncestorId(ancestor) {
+    if (ancestor.id === null) {
+      try {
+        ancestor.id = getFileId(this._statTarget(ancestor.fullPath));
+      } catch (err) {
+        ancestor.id = undefined;
+      }
+    }
+    return ancestor.id;
+  }
+
+  _applyFilter(filter, entry) {
+    const result = filter(entry);
+    if (result && typeof result.then === 'function') {
+      throw new TypeError('readdirp: async filters are not supported by readdirpSync');
+    }
+    return result;
+  }
+
+  _exploreDir(fullPath, path, depth, ignoreRules, ancestor) {
+    let files = [];
+    try {
+      files = sortFiles(this, this._fs.readdirSync(fullPath, this._rdOptions));
+      if (files.length > 0 && this._ignoreFiles.length > 0) {
+        ignoreRules = this._loadIgnoreRules(files, fullPath, path, ignoreRules);
+      }
+    } catch (err) {
+      this._onError(err);
+    }
+    return {
+      files,
+      depth,
+      fullPath,
+      path,
+      ignoreRules,
+      ancestor
+    };
+  }
+
+  _loadIgnoreRules(files, fullPath, path, ignoreRules) {
+    const names = files.map(dirent => (this._isDirent ? dirent.name : dirent));
+    for (const ignoreFile of this._ignoreFiles) {
+      if (!names.includes(ignoreFile)) {
+        continue;
+      }
+
+      try {
+        const content = this._fs.readFileSync(Path.join(fullPath, ignoreFile), 'utf8');
+        ignoreRules = ignoreRules.concat(this._parseIgnoreFile(content, toPosixPath(path)));
+      } catch (err) {
+        this._onError(err);
+      }
+    }
+    return ignoreRules;
+  }
+
+  _parseIgnoreFile(content, base) {
+    return parseIgnoreFile(content, base);
+  }
+
+  _formatEntry(dirent, absolutePath, relativePath) {
+    let entry;
+    try {
+      const basename = this._isDirent ? dirent.name : dirent;
+      const fullPath = Path.join(absolutePath, basename);
+      entry = {
+        path: Path.join(relativePath, basename),
+        fullPath,
+        basename
+      };
+      entry[this._statsProp] = this._isDirent ? dirent : this._stat(fullPath);
+    } catch (err) {
+      this._onError(err);
+    }
+    return entry;
+  }
+
+  // Normal flow errors are skipped silently, as there is no `warn` event to report them.
+  _onError(err) {
+    if (!this._suppressNormalFlowError || !isNormalFlowError(err)) {
+      throw err;
+    }
+  }
+
+  _getEntryType(entry) {
+    const stats = entry && entry[this._statsProp];
+    if (!stats) {
+      return null;
+    }
+
+    if (stats.isFile()) {
+      return 'file';
+    }
+    if (stats.isDirectory()) {
+      return 'directory';
+    }
+
+    if (stats.isSymbolicLink()) {
+      const { fullPath } = entry;
+      try {
+        if (this._symlinks === SYMLINKS_REPORT) {
+          entry.target = this._fs.readlinkSync(fullPath);
+          return 'symlink';
+        }
+
+        const entryRealPath = this._fs.realpathSync(fullPath);
+        const entryRealPathStats = this._fs.lstatSync(entryRealPath);
+        if (entryRealPathStats.isFile()) {
+          return 'file';
+        }
+        if (entryRealPathStats.isDirectory()) {
+          return 'directory';
+        }
+      } catch (err) {
+        this._onError(err);
+      }
+    }
+
+    return null;
+  }
+
+  _includeAsFile(entry) {
+    const stats = entry && entry[this._statsProp];
+
+    return stats && this._wantsEverything && !stats.isDirectory();
+  }
+}
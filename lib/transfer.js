@@ -0,0 +1,132 @@
+import { constants } from 'fs';
+
+// Conversions of entries, stats and errors to plain objects, to be saved as JSON or posted between threads.
+
+const STATS_FIELDS = [
+  'dev',
+  'ino',
+  'mode',
+  'nlink',
+  'uid',
+  'gid',
+  'rdev',
+  'size',
+  'blksize',
+  'blocks',
+  'atimeMs',
+  'mtimeMs',
+  'ctimeMs',
+  'birthtimeMs'
+];
+
+const ERROR_FIELDS = ['name', 'message', 'stack', 'code', 'errno', 'syscall', 'path', 'dest'];
+
+// Type checks of dirents and stats, by the type of a file in `mode`.
+const TYPE_METHODS = {
+  isFile: constants.S_IFREG,
+  isDirectory: constants.S_IFDIR,
+  isSymbolicLink: constants.S_IFLNK,
+  isBlockDevice: constants.S_IFBLK,
+  isCharacterDevice: constants.S_IFCHR,
+  isFIFO: constants.S_IFIFO,
+  isSocket: constants.S_IFSOCK
+};
+
+const addTypeMethods = (target, type) => {
+  for (const [method, fileType] of Object.entries(TYPE_METHODS)) {
+    target[method] = () => type === fileType;
+  }
+  return target;
+};
+
+/**
+ * @param {fs.Dirent} dirent
+ * @returns {Number} type of the file, as in `mode`, `0` if unknown
+ */
+export const getDirentType = dirent => TYPE_METHODS[Object.keys(TYPE_METHODS).find(method => dirent[method]())] || 0;
+
+/**
+ * @param {String} name
+ * @param {Number} type type of the file, as in `mode`
+ * @returns {fs.Dirent} dirent-like object
+ */
+export const toDirent = (name, type) => addTypeMethods({ name }, type);
+
+/**
+ * Also used for the JSON output of the command line.
+ * @param {fs.Stats} stats
+ * @returns {Object} numeric fields of the stats, those missing, e.g., from members of archives, left out
+ */
+export const toJSONStats = (stats) => {
+  const json = {};
+  for (const key of STATS_FIELDS) {
+    // Stats may be bigint on windows.
+    if (stats[key] !== undefined) {
+      json[key] = Number(stats[key]);
+    }
+  }
+  return json;
+};
+
+/**
+ * @param {Object} json see `toJSONStats`
+ * @returns {fs.Stats} stats-like object, with dates and type checks
+ */
+export const toStats = (json) => {
+  const stats = addTypeMethods({ ...json }, json.mode & constants.S_IFMT);
+  for (const time of ['atime', 'mtime', 'ctime', 'birthtime']) {
+    stats[time] = new Date(json[`${time}Ms`]);
+  }
+  return stats;
+};
+
+/**
+ * @param {EntryInfo} entry
+ * @returns {Object} entry with plain `stats` and `dirent`
+ */
+export const toTransferableEntry = (entry) => {
+  const transferable = { ...entry };
+  if (entry.stats) {
+    transferable.stats = toJSONStats(entry.stats);
+  }
+  if (entry.dirent) {
+    transferable.dirent = [entry.dirent.name, getDirentType(entry.dirent)];
+  }
+  return transferable;
+};
+
+/**
+ * @param {Object} transferable see `toTransferableEntry`
+ * @returns {EntryInfo}
+ */
+export const fromTransferableEntry = (transferable) => {
+  const entry = { ...transferable };
+  if (transferable.stats) {
+    entry.stats = toStats(transferable.stats);
+  }
+  if (transferable.dirent) {
+    entry.dirent = toDirent(...transferable.dirent);
+  }
+  return entry;
+};
+
+/**
+ * Errors lose their `code` and other system fields when they are cloned.
+ * @param {Error} error
+ * @returns {Object}
+ */
+export const toTransferableError = (error) => {
+  const transferable = {};
+  for (const key of ERROR_FIELDS) {
+    if (error[key] !== undefined) {
+      transferable[key] = error[key];
+    }
+  }
+  return transferable;
+};
+
+/**
+ * @param {Object} transferable see `toTransferableError`
+ * @returns {Error}
+ */
+export const fromTransferableError = transferable => Object.assign(new Error(transferable.message), transferable);
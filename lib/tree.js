@@ -0,0 +1,103 @@
+import * as Path from 'path';
+import {
+  FILE_TYPE,
+  DIR_TYPE,
+  FILE_DIR_TYPE,
+  EVERYTHING_TYPE,
+  getStatsType
+} from './utils.js';
+import { getParentPath } from './cursor.js';
+
+/**
+ * @typedef {Object} TreeNode
+ * @property {String} name basename of the entry, or of the root itself
+ * @property {String} path path relative to root, `''` for the root
+ * @property {String} type `'file'`, `'directory'`, `'symlink'` or `'other'`
+ * @property {fs.Stats=} stats with `alwaysStat` or `lstat`
+ * @property {TreeNode[]=} children entries found in a directory walked, or members of an archive
+ */
+
+/**
+ * With `type: 'files'`, directories are still emitted, to hold the files found in them.
+ * @param {String=} type
+ * @returns {String} type of the walk
+ */
+export const getTreeWalkType = type => (!type || type === FILE_TYPE ? FILE_DIR_TYPE : type);
+
+/**
+ * @param {String=} type
+ * @returns {Boolean} whether directories are matching entries themselves, rather than only holding them
+ */
+const matchesDirectories = type => [DIR_TYPE, FILE_DIR_TYPE, EVERYTHING_TYPE].includes(type);
+
+/**
+ * Drops the directories walked and left without children once their own empty directories are dropped.
+ * Directories not walked are kept, their entries being unknown.
+ * @param {TreeNode} node
+ * @returns {Boolean} whether the node is kept
+ */
+const pruneNode = (node) => {
+  if (!node.children) {
+    return true;
+  }
+  node.children = node.children.filter(pruneNode);
+  return node.children.length > 0 || node.type !== 'directory';
+};
+
+/**
+ * @param {ReaddirpStream} stream
+ * @param {String} root full path of the root
+ * @param {Boolean} pruneEmpty whether to drop the directories without any entry left in them
+ * @param {String=} type type asked for, directories only being dropped when they don't match it
+ * @returns {Promise<TreeNode>}
+ */
+export const createTree = async (stream, root, pruneEmpty, type) => {
+  // Directories walked, whatever the type of their entry, e.g., symlinks to directories.
+  const walked = new Set();
+  stream.on('directoryEnd', entry => walked.add(entry.path));
+
+  const tree = {
+    name: Path.basename(root),
+    path: '',
+    type: 'directory',
+    children: []
+  };
+  const nodes = new Map([['', tree]]);
+  // Nodes are added to their parent as soon as they are found, the parent being created first if need be,
+  // e.g., with `order: 'dfs-post'` or a directory not emitted.
+  const getNode = (path) => {
+    let node = nodes.get(path);
+    if (!node) {
+      node = { name: Path.basename(path), path, type: 'directory' };
+      nodes.set(path, node);
+      const parent = getNode(getParentPath(path));
+      if (!parent.children) {
+        parent.children = [];
+      }
+      parent.children.push(node);
+    }
+    return node;
+  };
+
+  for await (const entry of stream) {
+    const node = getNode(entry.path);
+    node.type = getStatsType(entry.stats || entry.dirent);
+    if (entry.stats) {
+      node.stats = entry.stats;
+    }
+  }
+
+  // Directories not walked, e.g., beyond `depth`, have no children rather than looking empty.
+  for (const node of nodes.values()) {
+    if (walked.has(node.path)) {
+      node.type = 'directory';
+      if (!node.children) {
+        node.children = [];
+      }
+    }
+  }
+  if (pruneEmpty && !matchesDirectories(type)) {
+    pruneNode(tree);
+  }
+  return tree;
+};
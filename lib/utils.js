@@ -0,0 +1,248 @@
+import * as fs from 'fs';
+import * as Path from 'path';
+import picomatch from 'picomatch';
+import { createPredicate } from './predicates.js';
+
+const BANG = '!';
+export const RECURSIVE_ERROR_CODE = 'READDIRP_RECURSIVE_ERROR';
+export const ARCHIVE_ERROR_CODE = 'READDIRP_ARCHIVE_ERROR';
+
+const NORMAL_FLOW_ERRORS = ['ENOENT', 'EPERM', 'EACCES', 'ELOOP', RECURSIVE_ERROR_CODE, ARCHIVE_ERROR_CODE];
+export const FILE_TYPE = 'files';
+export const DIR_TYPE = 'directories';
+export const FILE_DIR_TYPE = 'files_directories';
+export const EVERYTHING_TYPE = 'all';
+export const ALL_TYPES = [FILE_TYPE, DIR_TYPE, FILE_DIR_TYPE, EVERYTHING_TYPE];
+export const DFS_PRE_ORDER = 'dfs-pre';
+export const DFS_POST_ORDER = 'dfs-post';
+export const BFS_ORDER = 'bfs';
+export const ALL_ORDERS = [DFS_PRE_ORDER, DFS_POST_ORDER, BFS_ORDER];
+export const ZIP_FORMAT = 'zip';
+export const TAR_FORMAT = 'tar';
+export const TGZ_FORMAT = 'tgz';
+export const ALL_ARCHIVE_FORMATS = [ZIP_FORMAT, TAR_FORMAT, TGZ_FORMAT];
+export const SYMLINKS_FOLLOW = 'follow';
+export const SYMLINKS_SKIP = 'skip';
+export const SYMLINKS_REPORT = 'report';
+export const ALL_SYMLINK_MODES = [SYMLINKS_FOLLOW, SYMLINKS_SKIP, SYMLINKS_REPORT];
+export const ALL_TIME_FIELDS = ['mtime', 'ctime', 'birthtime'];
+export const ERROR_SKIP = 'skip';
+export const ERROR_ABORT = 'abort';
+export const ERROR_RETRY = 'retry';
+export const ALL_ERROR_ACTIONS = [ERROR_SKIP, ERROR_ABORT, ERROR_RETRY];
+// Internal events of the stream, see `ReaddirpWatcher`.
+export const DIR_EXPLORED_EVENT = Symbol('dirExplored');
+export const ENTRY_PROCESSED_EVENT = Symbol('entryProcessed');
+// Operations still failing after that many attempts are skipped, even when `onError` asks to retry them.
+export const MAX_RETRY_ATTEMPTS = 5;
+// Delay before the second attempt, doubled for each of the next ones.
+export const RETRY_DELAY_MS = 20;
+
+const SORT_COMPARATORS = {
+  name: (a, b) => {
+    if (a === b) {
+      return 0;
+    }
+    return a < b ? -1 : 1;
+  },
+  natural: new Intl.Collator('en', { numeric: true }).compare
+};
+
+export const isNormalFlowError = error => NORMAL_FLOW_ERRORS.includes(error.code);
+export const createRecursiveError = (fullPath, realPath) => {
+  const recursiveError = new Error(`Circular symlink detected: "${fullPath}" points to "${realPath}"`);
+  recursiveError.code = RECURSIVE_ERROR_CODE;
+  return recursiveError;
+};
+
+/**
+ * Identifies a directory by device and inode, `null` when the file system has no inode numbers.
+ * @param {fs.Stats} stats
+ * @returns {String|null}
+ */
+export const getFileId = stats => (stats.ino ? `${stats.dev}:${stats.ino}` : null);
+
+/**
+ * @param {fs.Stats} stats
+ * @returns {String} `'file'`, `'directory'`, `'symlink'` or `'other'`
+ */
+export const getStatsType = (stats) => {
+  if (stats.isFile()) {
+    return 'file';
+  }
+  if (stats.isDirectory()) {
+    return 'directory';
+  }
+  if (stats.isSymbolicLink()) {
+    return 'symlink';
+  }
+  return 'other';
+};
+
+export const createAbortError = (signal) => {
+  const abortError = new Error('The operation was aborted');
+  abortError.name = 'AbortError';
+  abortError.code = 'ABORT_ERR';
+  if (signal && signal.reason !== undefined) {
+    abortError.cause = signal.reason;
+  }
+  return abortError;
+};
+
+/**
+ * @param {Number} ms
+ * @returns {Promise<void>}
+ */
+export const delay = ms => new Promise((resolve) => {
+  setTimeout(resolve, ms);
+});
+
+const [maj, min] = process.versions.node.split('.').slice(0, 2).map(n => Number.parseInt(n));
+export const wantBigintFsStats = process.platform === 'win32' && (maj > 10 || (maj === 10 && min >= 5));
+
+export const normalizeFilter = (filter, filterEntryKey) => {
+  if (typeof filter === 'function') {
+    return filter;
+  }
+
+  if (typeof filter === 'string') {
+    const glob = picomatch(filter.trim());
+    return entry => glob(entry[filterEntryKey]);
+  }
+
+  if (!Array.isArray(filter)) {
+    throw new Error('Filter only support `Function`, `Glob string` and `Array of glob strings`');
+  }
+
+  const positive = [];
+  const negative = [];
+  for (const item of filter) {
+    const trimmed = item.trim();
+    if (trimmed.charAt(0) === BANG) {
+      negative.push(picomatch(trimmed.substring(1)));
+    } else {
+      positive.push(picomatch(trimmed));
+    }
+  }
+
+  if (negative.length > 0) {
+    if (positive.length > 0) {
+      return entry => positive.some(f => f(entry[filterEntryKey])) && !negative.some(f => f(entry[filterEntryKey]));
+    }
+    return entry => !negative.some(f => f(entry[filterEntryKey]));
+  }
+  return entry => positive.some(f => f(entry[filterEntryKey]));
+};
+
+const SLASH = '/';
+const BACKSLASH = '\\';
+
+const normalizeSort = (sort) => {
+  if (!sort || typeof sort === 'function') {
+    return sort || null;
+  }
+  return SORT_COMPARATORS[sort];
+};
+
+export const toPosixPath = path => (Path.sep === BACKSLASH ? path.split(BACKSLASH).join(SLASH) : path);
+
+/**
+ * Sets up the settings shared by `ReaddirpStream` and the sync walker.
+ * @param {Object} walker
+ * @param {ReaddirpArguments} options
+ * @param {{ stat: Function, lstat: Function }} statMethods
+ */
+export const setupWalker = (walker, options, statMethods) => {
+  walker._fileFilter = normalizeFilter(options.fileFilter, options.filterEntryKey);
+  walker._directoryFilter = normalizeFilter(options.directoryFilter, options.filterEntryKey);
+  walker._symlinks = options.symlinks || SYMLINKS_FOLLOW;
+  // Symlinks are told apart from their target to skip or report them.
+  walker._lstat = Boolean(options.lstat) || walker._symlinks !== SYMLINKS_FOLLOW;
+
+  // Use bigint stats if it's windows and stat() supports options (node 10+).
+  const statOptions = wantBigintFsStats ? [{ bigint: true }] : [];
+  const statMethod = walker._lstat ? statMethods.lstat : statMethods.stat;
+  walker._stat = path => statMethod(path, ...statOptions);
+  // Stats of the target of symlinks, whatever `lstat` is.
+  walker._statTarget = path => statMethods.stat(path, ...statOptions);
+
+  walker._maxDepth = options.depth;
+  walker._wantsDir = [DIR_TYPE, FILE_DIR_TYPE, EVERYTHING_TYPE].includes(options.type);
+  walker._wantsFile = [FILE_TYPE, FILE_DIR_TYPE, EVERYTHING_TYPE].includes(options.type);
+  walker._wantsEverything = options.type === EVERYTHING_TYPE;
+  // Multiple roots are resolved by the stream, once their globs are expanded.
+  walker._root = Array.isArray(options.root) ? null : Path.resolve(options.root);
+  walker._isDirent = ('Dirent' in fs) && !options.alwaysStat;
+  walker._statsProp = walker._isDirent ? 'dirent' : 'stats';
+  walker._rdOptions = { encoding: 'utf8', withFileTypes: walker._isDirent };
+  walker._suppressNormalFlowError = options.suppressNormalFlowError !== false;
+  walker._ignoreFiles = options.respectIgnoreFiles || [];
+  walker._breadthFirst = options.order === BFS_ORDER;
+  walker._depthFirst = options.order === DFS_PRE_ORDER || options.order === DFS_POST_ORDER;
+  walker._postOrder = options.order === DFS_POST_ORDER;
+  walker._sort = normalizeSort(options.sort);
+  walker._archives = options.archives || [];
+  walker._oneFileSystem = Boolean(options.oneFileSystem);
+  walker._includeMountPoints = Boolean(options.includeMountPoints);
+  walker._predicate = createPredicate(options);
+  walker._rootDev = null;
+};
+
+/**
+ * Sorts a directory listing in place with the walker's `sort` comparator, which compares basenames.
+ * @param {Object} walker
+ * @param {Array<fs.Dirent|String>} files
+ */
+export const sortFiles = (walker, files) => {
+  if (walker._sort) {
+    // Listings of archives are made of members, even without dirents.
+    const nameOf = dirent => (typeof dirent === 'string' ? dirent : dirent.name);
+    files.sort((a, b) => walker._sort(nameOf(a), nameOf(b)));
+  }
+  return files;
+};
+
+/**
+ * Numeric options left unset, e.g., `undefined` forwarded from a config, keep their default.
+ * @param {*} value
+ * @param {Number} defaultValue
+ * @returns {Number}
+ */
+export const getNumberOption = (value, defaultValue) => (
+  typeof value === 'number' && !Number.isNaN(value) ? value : defaultValue
+);
+
+const isRootList = root => Array.isArray(root) && root.every(item => item && typeof item === 'string');
+
+const isOptionalCount = value => value === undefined || (Number.isInteger(value) && value >= 0);
+
+const validateOptions = (options) => {
+  if (options.type && !ALL_TYPES.includes(options.type)) {
+    throw new Error(`readdirp: Invalid type passed. Use one of ${ALL_TYPES.join(', ')}`);
+  } else if (options.order && !ALL_ORDERS.includes(options.order)) {
+    throw new Error(`readdirp: Invalid order passed. Use one of ${ALL_ORDERS.join(', ')}`);
+  } else if (options.sort && typeof options.sort !== 'function' && !SORT_COMPARATORS[options.sort]) {
+    throw new Error(`readdirp: Invalid sort passed. Use a function or one of ${Object.keys(SORT_COMPARATORS).join(', ')}`);
+  } else if (options.archives && !options.archives.every(format => ALL_ARCHIVE_FORMATS.includes(format))) {
+    throw new Error(`readdirp: Invalid archives passed. Use an array of ${ALL_ARCHIVE_FORMATS.join(', ')}`);
+  } else if (options.symlinks && !ALL_SYMLINK_MODES.includes(options.symlinks)) {
+    throw new Error(`readdirp: Invalid symlinks passed. Use one of ${ALL_SYMLINK_MODES.join(', ')}`);
+  } else if (options.timeField && !ALL_TIME_FIELDS.includes(options.timeField)) {
+    throw new Error(`readdirp: Invalid timeField passed. Use one of ${ALL_TIME_FIELDS.join(', ')}`);
+  } else if (options.onError && typeof options.onError !== 'function') {
+    throw new TypeError('readdirp: onError option must be a function');
+  } else if (options.progressInterval !== undefined && !(options.progressInterval >= 0)) {
+    throw new TypeError('readdirp: progressInterval option must be a non-negative number');
+  } else if (!isOptionalCount(options.workers)) {
+    throw new TypeError('readdirp: workers option must be a non-negative integer');
+  }
+};
+
+export const validateArguments = (root, options) => {
+  if (!root || (Array.isArray(root) && root.length === 0)) {
+    throw new Error('readdirp: root argument is required. Usage: readdirp(root, options)');
+  } else if (typeof root !== 'string' && !isRootList(root)) {
+    throw new TypeError('readdirp: root argument must be a string or an array of strings. Usage: readdirp(root, options)');
+  }
+  validateOptions(options);
+};
@@ -0,0 +1,246 @@
+import { EventEmitter } from 'events';
+import { isNormalFlowError, DIR_EXPLORED_EVENT, ENTRY_PROCESSED_EVENT } from './utils.js';
+
+// Changes reported by `fs.watch` within that delay are handled together, e.g., the creation and the write of a file.
+const FLUSH_DELAY_MS = 20;
+
+/**
+ * Emits the entries of the initial scan as `data` events, then `ready`,
+ * then `add`, `addDir`, `change`, `unlink` and `unlinkDir` events for the changes under the root.
+ * Changes go through the same filters, `depth` and `type` as the initial scan.
+ */
+export class ReaddirpWatcher extends EventEmitter {
+  /**
+   * @param {ReaddirpStream} stream stream of the initial scan, created with `autoDestroy: false`
+   */
+  constructor(stream) {
+    super();
+    this.closed = false;
+    this._stream = stream;
+    this._ready = false;
+    this._flushing = false;
+    this._flushTimer = null;
+    // Watched directories by full path, with the results of their entries by name.
+    this._dirs = new Map();
+    // Directories to read again by full path, with the names reported by `fs.watch`.
+    this._pending = new Map();
+    // Full paths of the entries added or changed by the current flush, not to emit `change` for them again.
+    this._flushed = new Set();
+
+    // Explored directories are watched and the results of their entries kept.
+    stream
+      .on(DIR_EXPLORED_EVENT, parent => this._track(parent))
+      .on(ENTRY_PROCESSED_EVENT, (dirent, parent, result) => {
+        const dir = this._dirs.get(parent.fullPath);
+        if (dir) {
+          dir.results.set(this._nameOf(dirent), result);
+        }
+      })
+      .on('data', entry => this.emit('data', entry))
+      .on('warn', error => this.emit('warn', error))
+      .on('error', (error) => {
+        this.emit('error', error);
+        this.close();
+      })
+      .on('end', () => {
+        this._ready = true;
+        this.emit('ready');
+        this._flush();
+      })
+      .on('close', () => this.close());
+  }
+
+  /**
+   * Stops watching and destroys the underlying stream.
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+
+    this.closed = true;
+    clearTimeout(this._flushTimer);
+    for (const { watcher } of this._dirs.values()) {
+      watcher.close();
+    }
+    this._dirs.clear();
+    this._pending.clear();
+    this._stream.destroy();
+    this.emit('close');
+  }
+
+  _nameOf(dirent) {
+    return this._stream._isDirent ? dirent.name : dirent;
+  }
+
+  _track(parent) {
+    if (this.closed || this._dirs.has(parent.fullPath)) {
+      return;
+    }
+
+    let watcher;
+    try {
+      const { fullPath } = parent;
+      watcher = this._stream._fs.watch(fullPath, (eventType, filename) => this._onChange(fullPath, filename));
+    } catch (err) {
+      // The directory is gone, the change is handled by its parent.
+      if (!isNormalFlowError(err)) {
+        this.emit('warn', err);
+      }
+      return;
+    }
+
+    watcher.on('error', error => this.emit('warn', error));
+    this._dirs.set(parent.fullPath, { parent, results: new Map(), watcher });
+  }
+
+  _onChange(fullPath, filename) {
+    const names = this._pending.get(fullPath) || new Set();
+    if (filename) {
+      names.add(filename.toString());
+    }
+    this._pending.set(fullPath, names);
+    if (!this._flushTimer) {
+      this._flushTimer = setTimeout(() => {
+        this._flushTimer = null;
+        this._flush();
+      }, FLUSH_DELAY_MS);
+    }
+  }
+
+  /**
+   * Reads the pending directories again one by one, once the initial scan is done.
+   * Changes reported meanwhile are handled by the same flush.
+   */
+  async _flush() {
+    if (!this._ready || this._flushing || this.closed) {
+      return;
+    }
+
+    this._flushing = true;
+    try {
+      while (!this.closed && this._pending.size > 0) {
+        const [fullPath, names] = this._pending.entries().next().value;
+        this._pending.delete(fullPath);
+        await this._syncDir(fullPath, names);
+      }
+    } catch (err) {
+      this.emit('error', err);
+      this.close();
+    } finally {
+      this._flushing = false;
+      this._flushed.clear();
+    }
+  }
+
+  async _syncDir(fullPath, changedNames) {
+    const stream = this._stream;
+    let files;
+    try {
+      files = await stream._limit(() => stream._fs.promises.readdir(fullPath, stream._rdOptions));
+    } catch (err) {
+      // The directory is gone, the change is handled by its parent.
+      return;
+    }
+
+    const dir = this._dirs.get(fullPath);
+    if (this.closed || !dir) {
+      return;
+    }
+
+    const names = new Set(files.map(dirent => this._nameOf(dirent)));
+    for (const [name, result] of dir.results) {
+      if (!names.has(name)) {
+        dir.results.delete(name);
+        this._remove(result);
+      }
+    }
+
+    // Only the new entries and the ones reported by `fs.watch` need to be processed again.
+    for (const dirent of files) {
+      const name = this._nameOf(dirent);
+      if (!dir.results.has(name) || changedNames.has(name)) {
+        await this._update(dir, dir.results.get(name), await stream._processEntry(dirent, dir.parent));
+      }
+    }
+  }
+
+  async _update(dir, previous, result) {
+    if (this.closed) {
+      return;
+    }
+
+    const existed = Boolean(previous && previous.entry);
+    if (existed && result.entry && previous.directory === result.directory) {
+      const { fullPath } = result.entry;
+      if (!result.directory && result.emit && !this._flushed.has(fullPath)) {
+        this._flushed.add(fullPath);
+        this.emit('change', result.entry);
+      }
+      return;
+    }
+
+    if (existed) {
+      this._remove(previous);
+    }
+    if (result.entry) {
+      await this._add(dir, result);
+    }
+  }
+
+  async _add(dir, result) {
+    const {
+      entry,
+      directory,
+      recurse,
+      emit
+    } = result;
+    if (emit) {
+      this._flushed.add(entry.fullPath);
+      this.emit(directory ? 'addDir' : 'add', entry);
+    }
+
+    if (!recurse) {
+      return;
+    }
+
+    const stream = this._stream;
+    const parent = await stream._exploreResult(dir.parent, result);
+    // Members of archives are not watched.
+    const child = this._dirs.get(parent.fullPath);
+    if (this.closed || !child) {
+      return;
+    }
+
+    for (const dirent of parent.files) {
+      await this._add(child, await stream._processEntry(dirent, parent));
+    }
+    // Entries created before the directory was watched are picked up by reading it again.
+    this._onChange(parent.fullPath);
+  }
+
+  _remove({
+    entry,
+    directory,
+    recurse,
+    emit
+  } = {}) {
+    if (!entry) {
+      return;
+    }
+
+    const dir = recurse && this._dirs.get(entry.fullPath);
+    if (dir) {
+      this._dirs.delete(entry.fullPath);
+      this._pending.delete(entry.fullPath);
+      dir.watcher.close();
+      for (const result of dir.results.values()) {
+        this._remove(result);
+      }
+    }
+
+    if (emit) {
+      this.emit(directory ? 'unlinkDir' : 'unlink', entry);
+    }
+  }
+}
@@ -0,0 +1,114 @@
+import { parentPort, workerData } from 'worker_threads';
+import { ReaddirpSync } from './sync.js';
+import { toTransferableEntry, toTransferableError } from './transfer.js';
+
+const passAll = () => true;
+
+/**
+ * Explores the directories sent by `WorkerPool`, one at a time, with the synchronous walker.
+ * Ignore rules and ancestors can't be posted, so they go back and forth as the sources of the ignore files
+ * and lists of paths and ids.
+ */
+class WorkerWalker extends ReaddirpSync {
+  constructor(options) {
+    super({
+      ...options,
+      // Function filters are run by the main thread.
+      fileFilter: options.fileFilter || passAll,
+      directoryFilter: options.directoryFilter || passAll
+    });
+    // Rules of the ignore files, by base and content.
+    this._parsedRules = new Map();
+    this._sources = [];
+    this._errors = [];
+  }
+
+  /**
+   * @param {{ fullPath: String, path: String, depth: Number, ignoreSources: Object[], ancestors: Object[] }} task
+   * @returns {{ results: Object[], seen: Number, filtered: Number, ignoreSources: Object[], errors: Object[] }}
+   *   `filtered` counting the entries rejected by the filters, ignore rules or predicates which are not sent back
+   */
+  explore({
+    fullPath,
+    path,
+    depth,
+    ignoreSources,
+    ancestors
+  }) {
+    this._sources = ignoreSources.slice();
+    this._errors = [];
+    const ignoreRules = [].concat(...ignoreSources.map(({ content, base }) => this._getRules(content, base)));
+    const ancestor = ancestors.reduceRight((parent, { fullPath: ancestorPath, id }) => ({
+      fullPath: ancestorPath,
+      id,
+      parent
+    }), null);
+    // Its own ignore files are added to the sources.
+    const parent = this._exploreDir(fullPath, path, depth, ignoreRules, ancestor);
+    const sources = this._sources;
+
+    const results = [];
+    let filtered = 0;
+    for (const dirent of parent.files) {
+      const result = this._processEntry(dirent, parent);
+      if (result.entry && (result.recurse || result.emit)) {
+        results.push({
+          entry: toTransferableEntry(result.entry),
+          directory: Boolean(result.directory),
+          recurse: Boolean(result.recurse),
+          emit: Boolean(result.emit),
+          ancestor: result.recurse ? this._toAncestorList(result.ancestor) : null,
+          filtered: Boolean(result.filtered)
+        });
+      } else if (result.filtered) {
+        filtered++;
+      }
+    }
+    return {
+      results,
+      seen: parent.files.length,
+      filtered,
+      ignoreSources: sources,
+      errors: this._errors.map(toTransferableError)
+    };
+  }
+
+  _processDirectory(entry, parent) {
+    return { ...super._processDirectory(entry, parent), directory: true };
+  }
+
+  _parseIgnoreFile(content, base) {
+    this._sources.push({ content, base });
+    return this._getRules(content, base);
+  }
+
+  _getRules(content, base) {
+    const key = `${base}\n${content}`;
+    if (!this._parsedRules.has(key)) {
+      this._parsedRules.set(key, super._parseIgnoreFile(content, base));
+    }
+    return this._parsedRules.get(key);
+  }
+
+  _toAncestorList(ancestor) {
+    const list = [];
+    for (let current = ancestor; current; current = current.parent) {
+      list.push({ fullPath: current.fullPath, id: typeof current.id === 'string' ? current.id : null });
+    }
+    return list;
+  }
+
+  // Reported by the main thread, like the errors of the stream.
+  _onError(err) {
+    this._errors.push(err);
+  }
+}
+
+const walker = new WorkerWalker(workerData);
+parentPort.on('message', ({ id, task }) => {
+  try {
+    parentPort.postMessage({ id, result: walker.explore(task) });
+  } catch (err) {
+    parentPort.postMessage({ id, error: toTransferableError(err) });
+  }
+});
@@ -10,21 +10,30 @@ import {
 import * as fs from 'fs';
 import {
   mkdir,
+  rename,
   symlink,
   readdir,
   readFile,
   writeFile
 } from 'fs/promises';
 import * as Path from 'path';
+import { execFile } from 'child_process';
+import { once } from 'events';
+import { createHash } from 'crypto';
 import { Readable } from 'stream';
+import { gzipSync } from 'zlib';
 import { promisify } from 'util';
 import { fileURLToPath } from 'url';
 import rimraf from 'rimraf';
-import { readdirp, ReaddirpStream } from './index.js';
+import { Volume, createFsFromVolume } from 'memfs';
+import { readdirp, readdirpSync, ReaddirpStream } from './index.js';
+import { createLimiter } from './lib/limiter.js';
+import { parseArgs } from './lib/cli.js';
 
 const pRimraf = promisify(rimraf);
 const __dirname = Path.dirname(fileURLToPath(import.meta.url));
 
+const { AbortController } = globalThis;
 const supportsDirent = 'Dirent' in fs;
 const isWindows = process.platform === 'win32';
 const root = Path.join(__dirname, 'test-fixtures');
@@ -51,6 +60,8 @@ const formatEntry = (file, dir = root) => {
   };
 };
 
+const toPosix = path => path.split(Path.sep).join('/');
+
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 const waitForEnd = stream => new Promise(resolve => stream.on('end', resolve));
@@ -153,6 +164,75 @@ describe('symlinks', () => {
     ]);
     expect(isWarningCalled).toBe(true);
   });
+
+  describe('cycles and symlinks option', () => {
+    // real/
+    //   a.txt
+    //   sub/back -> real
+    //   other -> ../shared
+    // shared/
+    //   b.txt
+    //   up -> real
+    // alias -> real
+    beforeEach(async () => {
+      await touch([], ['real', 'real/sub', 'shared']);
+      await touch(['real/a.txt', 'shared/b.txt']);
+      await symlink(Path.join(currPath, 'real'), Path.join(currPath, 'real/sub/back'), 'dir');
+      await symlink(Path.join(currPath, 'shared'), Path.join(currPath, 'real/other'), 'dir');
+      await symlink(Path.join(currPath, 'real'), Path.join(currPath, 'shared/up'), 'dir');
+      await symlink(Path.join(currPath, 'real'), Path.join(currPath, 'alias'), 'dir');
+    });
+
+    const paths = entries => entries.map(entry => toPosix(entry.path)).sort();
+    const walk = async (options) => {
+      const warnings = [];
+      const res = await readdirp(Path.join(currPath, 'alias'), { type: 'all', ...options })
+        .on('warn', warning => warnings.push(warning));
+      return { paths: paths(res), warnings: warnings.map(warning => warning.code) };
+    };
+    const followed = ['a.txt', 'other', 'other/b.txt', 'sub'];
+
+    it('detects indirect cycles by inode', async () => {
+      expect(await walk()).toEqual({
+        paths: followed,
+        warnings: ['READDIRP_RECURSIVE_ERROR', 'READDIRP_RECURSIVE_ERROR']
+      });
+    });
+
+    it('detects cycles when stat follows symlinks', async () => {
+      expect(await walk({ alwaysStat: true })).toEqual({
+        paths: followed,
+        warnings: ['READDIRP_RECURSIVE_ERROR', 'READDIRP_RECURSIVE_ERROR']
+      });
+    });
+
+    it('detects cycles with the sync API', () => {
+      const res = readdirpSync(Path.join(currPath, 'alias'), { type: 'all', order: 'dfs-pre' });
+      expect(paths(res)).toEqual(followed);
+    });
+
+    it('skips symlinks', async () => {
+      expect(await walk({ symlinks: 'skip' })).toEqual({ paths: ['a.txt', 'sub'], warnings: [] });
+      const res = readdirpSync(Path.join(currPath, 'alias'), { type: 'all', symlinks: 'skip' });
+      expect(paths(res)).toEqual(['a.txt', 'sub']);
+    });
+
+    it('reports symlinks with their target', async () => {
+      const res = await readdirp(Path.join(currPath, 'alias'), { symlinks: 'report', alwaysStat: true });
+      expect(paths(res)).toEqual(['a.txt', 'other', 'sub/back']);
+      const link = res.find(entry => entry.basename === 'other');
+      expect(link.target).toBe(Path.join(currPath, 'shared'));
+      expect(link.stats.isSymbolicLink()).toBe(true);
+      expect(res.find(entry => entry.basename === 'a.txt').target).toBeUndefined();
+
+      const syncRes = readdirpSync(Path.join(currPath, 'alias'), { symlinks: 'report' });
+      expect(syncRes.find(entry => entry.basename === 'back').target).toBe(Path.join(currPath, 'real'));
+    });
+
+    it('throws on invalid mode', () => {
+      expect(() => readdirp(currPath, { symlinks: 'nope' })).toThrow(/Invalid symlinks/);
+    });
+  });
 });
 
 describe('type', () => {
@@ -360,6 +440,1696 @@ describe('filtering', () => {
   });
 });
 
+describe('directoryEnd and aggregate', () => {
+  beforeEach(async () => {
+    await touch([], ['d', 'd/e', 'f']);
+    await writeFile(Path.join(currPath, 'a.txt'), 'aaa');
+    await writeFile(Path.join(currPath, 'd/b.txt'), 'bbbbb');
+    await writeFile(Path.join(currPath, 'd/e/c.txt'), 'ccccccc');
+  });
+
+  const collectEnds = async (options) => {
+    const ends = [];
+    await readdirp(currPath, options).on('directoryEnd', entry => ends.push(entry));
+    return ends;
+  };
+
+  it('emits directoryEnd once the descendants were processed', async () => {
+    for (const order of [undefined, 'bfs', 'dfs-pre', 'dfs-post']) {
+      const ends = (await collectEnds({ order })).map(entry => toPosix(entry.path));
+      expect(ends.slice().sort()).toEqual(['', 'd', 'd/e', 'f']);
+      expect(ends.indexOf('d/e')).toBeLessThan(ends.indexOf('d'));
+      expect(ends[ends.length - 1]).toBe('');
+    }
+  });
+
+  it('aggregates sizes and counts', async () => {
+    const ends = await collectEnds({ aggregate: true, type: 'directories' });
+    const totals = Object.fromEntries(ends.map(({
+      path,
+      totalSize,
+      fileCount,
+      dirCount
+    }) => [toPosix(path), [totalSize, fileCount, dirCount]]));
+    expect(totals).toEqual({
+      '': [15, 3, 3],
+      d: [12, 2, 1],
+      'd/e': [7, 1, 0],
+      f: [0, 0, 0]
+    });
+    expect(ends.find(entry => entry.path === '').fullPath).toBe(currPath);
+  });
+
+  it('only counts the entries passing the filters', async () => {
+    const ends = await collectEnds({ aggregate: true, fileFilter: '!b.txt', directoryFilter: '!e' });
+    const root = ends.find(entry => entry.path === '');
+    expect([root.totalSize, root.fileCount, root.dirCount]).toEqual([3, 1, 2]);
+  });
+
+  it('emits directories with their totals in dfs-post order', async () => {
+    const res = await read({ aggregate: true, type: 'all', order: 'dfs-post' });
+    const d = res.find(entry => entry.path === 'd');
+    expect([d.totalSize, d.fileCount, d.dirCount]).toEqual([12, 2, 1]);
+    expect(res.find(entry => entry.path === 'a.txt').totalSize).toBeUndefined();
+  });
+
+  it('is not supported by the sync API', () => {
+    expect(() => readdirpSync(currPath, { aggregate: true })).toThrow(/not supported by readdirpSync/);
+  });
+});
+
+describe('multiple roots', () => {
+  beforeEach(async () => {
+    await touch([], ['src', 'src/lib', 'test', 'packages', 'packages/a', 'packages/a/lib', 'packages/b', 'packages/b/lib']);
+    await touch(['src/a.js', 'src/lib/b.js', 'test/c.js', 'packages/a/lib/d.js', 'packages/b/lib/e.js', 'packages/b/f.js']);
+  });
+
+  const rootOf = name => Path.join(currPath, name);
+  const describeEntries = entries => entries.map(entry => `${Path.relative(currPath, entry.root)}:${toPosix(entry.path)}`);
+
+  it('walks each root with entries carrying their root', async () => {
+    const res = await readdirp([rootOf('test'), rootOf('src')]);
+    expect(describeEntries(res)).toEqual(['test:c.js', 'src:a.js', 'src:lib/b.js']);
+    expect(res[0]).toMatchObject(formatEntry('c.js', rootOf('test')));
+  });
+
+  it('expands globs to the directories they match', async () => {
+    const res = await readdirp([rootOf('src'), `${toPosix(currPath)}/packages/*/lib`], { type: 'all' });
+    expect(describeEntries(res)).toEqual([
+      'src:a.js',
+      'src:lib',
+      'src:lib/b.js',
+      'packages/a/lib:d.js',
+      'packages/b/lib:e.js'
+    ]);
+  });
+
+  it('emits paths reached from more than one root once', async () => {
+    const res = await readdirp([rootOf('src/lib'), rootOf('src'), rootOf('src/lib')], { type: 'all' });
+    expect(describeEntries(res)).toEqual(['src/lib:b.js', 'src:a.js']);
+
+    const reversed = await readdirp([rootOf('src'), rootOf('src/lib')], { type: 'all', order: 'bfs' });
+    expect(describeEntries(reversed)).toEqual(['src:a.js', 'src:lib', 'src:lib/b.js']);
+  });
+
+  it('emits paths reached through symlinks once', async function () {
+    // eslint-disable-next-line no-invalid-this
+    if (isWindows) this.skip();
+    await symlink(rootOf('src/lib'), rootOf('test/lib'));
+    await symlink(rootOf('src/a.js'), rootOf('test/a.js'));
+    for (const alwaysStat of [false, true]) {
+      const res = await readdirp([rootOf('src'), rootOf('test')], { alwaysStat });
+      expect(describeEntries(res)).toEqual(['src:a.js', 'src:lib/b.js', 'test:c.js']);
+    }
+  });
+
+  it('prefixes the paths of snapshots with the roots', async () => {
+    const snapshot = await readdirp.snapshot([rootOf('src'), rootOf('test')]);
+    const paths = snapshot.entries.map(entry => Path.relative(toPosix(currPath), entry.path));
+    expect(paths).toEqual(['src/a.js', 'src/lib/b.js', 'test/c.js']);
+  });
+
+  it('throws on invalid roots or with the sync API', () => {
+    expect(() => readdirp([])).toThrow(/root argument is required/);
+    expect(() => readdirp([currPath, 1])).toThrow(/must be a string or an array of strings/);
+    expect(() => readdirpSync([currPath])).toThrow(/not supported by readdirpSync/);
+  });
+});
+
+describe('glob', () => {
+  beforeEach(async () => {
+    await touch([], ['src', 'src/__snapshots__', 'src/lib', 'test', 'dist']);
+    await touch(['src/a.ts', 'src/b.tsx', 'src/c.js', 'src/__snapshots__/a.ts', 'src/lib/d.ts', 'test/e.ts', 'dist/f.ts']);
+  });
+
+  // Records the directories read.
+  const createFs = (visited) => {
+    const readdir = (path, options) => {
+      visited.push(toPosix(Path.relative(currPath, path)));
+      return fs.promises.readdir(path, options);
+    };
+    return { ...fs, promises: { ...fs.promises, readdir } };
+  };
+
+  const glob = async (patterns, options) => {
+    const visited = [];
+    const res = await readdirp.glob(patterns, { root: currPath, fs: createFs(visited), ...options });
+    return { paths: res.map(entry => toPosix(entry.path)).sort(), visited: visited.sort() };
+  };
+
+  it('only walks the directories which may contain a match', async () => {
+    const { paths, visited } = await glob(['src/**/*.{ts,tsx}', '!**/__snapshots__/**']);
+    expect(paths).toEqual(['src/a.ts', 'src/b.tsx', 'src/lib/d.ts']);
+    expect(visited).toEqual(['src', 'src/lib']);
+  });
+
+  it('prunes by the leading segments of the patterns', async () => {
+    const { paths, visited } = await glob('*/e.ts');
+    expect(paths).toEqual(['test/e.ts']);
+    expect(visited).toEqual(['', 'dist', 'src', 'test']);
+  });
+
+  it('matches directories and plain paths', async () => {
+    expect((await glob('src/*', { type: 'directories' })).paths).toEqual(['src/__snapshots__', 'src/lib']);
+
+    const { paths, visited } = await glob(['src/a.ts', 'test/e.ts']);
+    expect(paths).toEqual(['src/a.ts', 'test/e.ts']);
+    expect(visited).toEqual(['', 'src', 'test']);
+  });
+
+  it('applies the other filters and options', async () => {
+    const { paths } = await glob('**/*.ts', { fileFilter: '!a.ts', depth: 1 });
+    expect(paths).toEqual(['dist/f.ts', 'test/e.ts']);
+  });
+
+  it('throws on invalid patterns', () => {
+    expect(() => readdirp.glob([])).toThrow(/patterns argument must be/);
+    expect(() => readdirp.glob(Path.join(currPath, '*.js'))).toThrow(/relative to the root option/);
+    expect(() => readdirp.glob('!*.js')).toThrow(/not negated/);
+  });
+});
+
+describe('predicates', () => {
+  beforeEach(async () => {
+    await touch([], ['empty', 'full']);
+    await writeFile(Path.join(currPath, 'a.txt'), 'aaa');
+    await writeFile(Path.join(currPath, 'b.txt'), '');
+    await writeFile(Path.join(currPath, 'c.sh'), 'cccccccccc');
+    await writeFile(Path.join(currPath, 'full/d.txt'), 'dd');
+  });
+
+  const paths = entries => entries.map(entry => toPosix(entry.path)).sort();
+
+  it('filters by size', async () => {
+    expect(paths(await read({ minSize: 2, maxSize: 5 }))).toEqual(['a.txt', 'full/d.txt']);
+    expect(paths(await read({ fileFilter: '*.txt', minSize: 3 }))).toEqual(['a.txt']);
+  });
+
+  it('filters by time', async () => {
+    const past = new Date('2000-01-01');
+    await fs.promises.utimes(Path.join(currPath, 'a.txt'), past, past);
+    expect(paths(await read({ olderThan: new Date('2010-01-01') }))).toEqual(['a.txt']);
+    expect(paths(await read({ newerThan: Date.now() - 60000 }))).toEqual(['b.txt', 'c.sh', 'full/d.txt']);
+    expect(paths(await read({ olderThan: new Date('2010-01-01'), timeField: 'ctime' }))).toEqual([]);
+    expect(() => readdirp(currPath, { timeField: 'atime' })).toThrow(/Invalid timeField/);
+  });
+
+  it('filters by mode and ownership', async function () {
+    // eslint-disable-next-line no-invalid-this
+    if (isWindows) this.skip();
+    await fs.promises.chmod(Path.join(currPath, 'c.sh'), 0o755);
+    await fs.promises.chmod(Path.join(currPath, 'b.txt'), 0o666);
+    expect(paths(await read({ mode: 0o111 }))).toEqual(['c.sh']);
+    expect(paths(await read({ mode: { any: 0o002 } }))).toEqual(['b.txt']);
+    expect(paths(await read({ uid: process.getuid(), gid: process.getgid() }))).toHaveLength(4);
+    expect(paths(await read({ uid: process.getuid() + 1 }))).toEqual([]);
+  });
+
+  it('filters empty files and directories, still walking them', async () => {
+    expect(paths(await read({ empty: true, type: 'all' }))).toEqual(['b.txt', 'empty']);
+    expect(paths(await read({ empty: false, type: 'all' }))).toEqual(['a.txt', 'c.sh', 'full', 'full/d.txt']);
+    expect(paths(readdirpSync(currPath, { empty: true, type: 'all' }))).toEqual(['b.txt', 'empty']);
+  });
+
+  it('only stats the entries checked by a predicate', async () => {
+    const stated = [];
+    const stat = (path, ...args) => {
+      stated.push(toPosix(Path.relative(currPath, path)));
+      return fs.promises.stat(path, ...args);
+    };
+    const statFs = { ...fs, promises: { ...fs.promises, stat } };
+
+    const res = await read({ fs: statFs, minSize: 1 });
+    expect(paths(res)).toEqual(['a.txt', 'c.sh', 'full/d.txt']);
+    expect(res[0].stats.size).toBeGreaterThan(0);
+    if (supportsDirent) {
+      expect(stated.sort()).toEqual(['a.txt', 'b.txt', 'c.sh', 'full/d.txt']);
+
+      stated.length = 0;
+      await read({ fs: statFs, empty: true, type: 'directories' });
+      expect(stated).toEqual([]);
+    }
+  });
+});
+
+describe('order', () => {
+  beforeEach(async () => {
+    await touch(['f.txt', 'a.txt'], ['g', 'b', 'b/d']);
+    await touch(['b/c.txt', 'b/d/e.txt', 'g/h.txt']);
+  });
+
+  const paths = entries => entries.map(entry => toPosix(entry.path));
+
+  it('dfs-pre', async () => {
+    const expected = ['a.txt', 'b', 'b/c.txt', 'b/d', 'b/d/e.txt', 'f.txt', 'g', 'g/h.txt'];
+    const options = { type: 'all', order: 'dfs-pre', sort: 'name' };
+    expect(paths(await read(options))).toEqual(expected);
+    expect(paths(await read({ ...options, highWaterMark: 1 }))).toEqual(expected);
+  });
+
+  it('dfs-post', async () => {
+    const expected = ['a.txt', 'b/c.txt', 'b/d/e.txt', 'b/d', 'b', 'f.txt', 'g/h.txt', 'g'];
+    const options = { type: 'all', order: 'dfs-post', sort: 'name' };
+    expect(paths(await read(options))).toEqual(expected);
+    expect(paths(await read({ ...options, highWaterMark: 1 }))).toEqual(expected);
+  });
+
+  it('bfs', async () => {
+    const expected = ['a.txt', 'b', 'f.txt', 'g', 'b/c.txt', 'b/d', 'g/h.txt', 'b/d/e.txt'];
+    expect(paths(await read({ type: 'all', order: 'bfs', sort: 'name' }))).toEqual(expected);
+  });
+
+  it('respects depth', async () => {
+    const expected = ['a.txt', 'b/c.txt', 'b/d', 'b', 'f.txt', 'g/h.txt', 'g'];
+    const options = { type: 'all', order: 'dfs-post', sort: 'name' };
+    expect(paths(await read({ ...options, depth: 1 }))).toEqual(expected);
+  });
+
+  it('sorts with natural order and custom comparator', async () => {
+    await touch(['file10.txt', 'file2.txt']);
+    const options = { depth: 0, fileFilter: 'file*' };
+    expect(paths(await read({ ...options, sort: 'name' }))).toEqual(['file10.txt', 'file2.txt']);
+    expect(paths(await read({ ...options, sort: 'natural' }))).toEqual(['file2.txt', 'file10.txt']);
+    expect(paths(await read({ ...options, sort: (a, b) => (a < b ? 1 : -1) }))).toEqual(['file2.txt', 'file10.txt']);
+  });
+
+  it('is supported by the sync API', async () => {
+    for (const order of ['dfs-pre', 'dfs-post', 'bfs']) {
+      const options = { type: 'all', order, sort: 'name' };
+      expect(paths(readdirpSync(currPath, options))).toEqual(paths(await read(options)));
+    }
+  });
+
+  it('invalid', () => {
+    expect(() => readdirp(currPath, { order: 'bogus' })).toThrow(/Invalid order/);
+    expect(() => readdirp(currPath, { sort: 'bogus' })).toThrow(/Invalid sort/);
+  });
+});
+
+describe('concurrency', () => {
+  it('caps in-flight operations', async () => {
+    const limit = createLimiter(2);
+    let active = 0;
+    let maxActive = 0;
+    const op = async (value) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await delay(5);
+      active--;
+      return value;
+    };
+    const results = await Promise.all([1, 2, 3, 4, 5].map(value => limit(() => op(value))));
+    expect(results).toEqual([1, 2, 3, 4, 5]);
+    expect(maxActive).toBe(2);
+  });
+
+  it('retries on EMFILE', async () => {
+    const limit = createLimiter(Infinity);
+    let attempts = 0;
+    const result = await limit(async () => {
+      attempts++;
+      if (attempts < 3) {
+        const error = new Error('too many open files');
+        error.code = 'EMFILE';
+        throw error;
+      }
+      return 'done';
+    });
+    expect(result).toBe('done');
+    expect(attempts).toBe(3);
+  });
+
+  it('rejects on other errors', async () => {
+    const limit = createLimiter(1);
+    const error = new Error('boom');
+    await expect(limit(() => Promise.reject(error))).rejects.toBe(error);
+    await expect(limit(() => Promise.resolve(1))).resolves.toBe(1);
+  });
+
+  it('reads the same entries with a low concurrency', async () => {
+    await touch(['a.txt', 'b.txt'], ['c', 'd']);
+    await touch(['c/e.txt', 'd/f.txt']);
+    const options = { type: 'all', alwaysStat: true };
+    const res = await read({ ...options, concurrency: 1 });
+    expect(res.map(entry => entry.path)).toEqual((await read(options)).map(entry => entry.path));
+    expect(res).toHaveLength(6);
+  });
+
+  it('keeps the default concurrency when unset', async () => {
+    await touch(['a.txt'], ['b']);
+    const res = await read({ alwaysStat: true, concurrency: undefined });
+    expect(res.map(entry => entry.path)).toEqual(['a.txt']);
+  });
+});
+
+describe('signal', () => {
+  beforeEach(async () => {
+    const dirs = ['a', 'b', 'c', 'd'];
+    await touch(['e.txt'], dirs);
+    await touch(dirs.map(dir => `${dir}/f.txt`));
+  });
+
+  it('rejects the promise when already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(read({ signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError', code: 'ABORT_ERR' });
+  });
+
+  it('rejects the promise when aborted during the walk', async () => {
+    const controller = new AbortController();
+    const fileFilter = async () => {
+      controller.abort();
+      await delay(10);
+      return true;
+    };
+    await expect(read({ signal: controller.signal, fileFilter })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('ends for await loops', async () => {
+    const controller = new AbortController();
+    const seen = [];
+    let caught;
+    try {
+      for await (const entry of readdirp(currPath, { type: 'all', signal: controller.signal, highWaterMark: 1 })) {
+        seen.push(entry);
+        controller.abort();
+      }
+    } catch (error) {
+      caught = error;
+    }
+    expect(caught).toBeInstanceOf(Error);
+    expect(caught.name).toBe('AbortError');
+    expect(seen.length).toBeLessThan(9);
+  });
+
+  it('passes the abort reason as cause', async () => {
+    const controller = new AbortController();
+    const reason = new Error('switched workspace');
+    controller.abort(reason);
+    await expect(read({ signal: controller.signal })).rejects.toMatchObject({ cause: reason });
+  });
+});
+
+describe('async filters', () => {
+  const files = ['a.js', 'b.txt', 'c.js', 'd.js', 'e.rb', 'f.js'];
+
+  beforeEach(async () => {
+    await touch(files, ['keep', 'skip']);
+    await touch(['keep/g.js', 'skip/h.js']);
+  });
+
+  it('awaits filters and keeps the emit order', async () => {
+    const fileFilter = async (entry) => {
+      await delay(Math.random() * 20);
+      return entry.basename.endsWith('.js');
+    };
+    const res = await read({ fileFilter });
+    const expected = await read({ fileFilter: '*.js' });
+    expect(res.map(entry => entry.path)).toEqual(expected.map(entry => entry.path));
+    expect(res).toHaveLength(6);
+  });
+
+  it('prunes directories with async directoryFilter', async () => {
+    const res = await read({
+      type: 'all',
+      directoryFilter: async entry => entry.basename !== 'skip'
+    });
+    const paths = res.map(entry => entry.path);
+    expect(paths).toContain(Path.join('keep', 'g.js'));
+    expect(paths).not.toContain('skip');
+    expect(paths).not.toContain(Path.join('skip', 'h.js'));
+  });
+
+  it('bounds filter concurrency', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const fileFilter = async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await delay(5);
+      active--;
+      return true;
+    };
+    const res = await read({ fileFilter, filterConcurrency: 2 });
+    expect(res).toHaveLength(files.length + 2);
+    expect(maxActive).toBe(2);
+  });
+
+  it('keeps the default filter concurrency when unset', async () => {
+    const res = await read({ fileFilter: async () => true, filterConcurrency: undefined });
+    expect(res).toHaveLength(files.length + 2);
+  });
+
+  it('destroys the stream when a filter rejects', async () => {
+    const error = new Error('boom');
+    await expect(read({ fileFilter: async () => Promise.reject(error) })).rejects.toBe(error);
+  });
+
+  it('is rejected by the sync API', () => {
+    expect(() => readdirpSync(currPath, { fileFilter: async () => true })).toThrow(/async filters/);
+  });
+});
+
+describe('respectIgnoreFiles', () => {
+  beforeEach(async () => {
+    await touch(['a.js', 'a.log', 'keep.log'], ['build', 'node_modules', 'src', 'src/build', 'src/lib']);
+    await touch(['build/out.js', 'node_modules/dep.js', 'src/b.js', 'src/c.tmp', 'src/build/x.js', 'src/lib/d.js', 'src/lib/e.log']);
+    await writeFile(Path.join(currPath, '.gitignore'), '# comment\n*.log\n!keep.log\n/build\nnode_modules/\n');
+    await writeFile(Path.join(currPath, 'src/.ignore'), '*.tmp\n');
+    await writeFile(Path.join(currPath, 'src/lib/.gitignore'), '!e.log\n');
+  });
+
+  it('applies cascading rules', async () => {
+    const res = await read({ respectIgnoreFiles: ['.gitignore', '.ignore'] });
+    expect(res.map(entry => entry.path).sort()).toEqual([
+      '.gitignore',
+      'a.js',
+      'keep.log',
+      'src/.ignore',
+      'src/b.js',
+      'src/build/x.js',
+      'src/lib/.gitignore',
+      'src/lib/d.js',
+      'src/lib/e.log'
+    ].map(Path.normalize));
+  });
+
+  it('prunes ignored directories', async () => {
+    const res = await read({ type: 'directories', respectIgnoreFiles: ['.gitignore'] });
+    expect(res.map(entry => entry.path).sort()).toEqual(['src', 'src/build', 'src/lib'].map(Path.normalize));
+  });
+
+  it('only reads listed ignore files', async () => {
+    const res = await read({ respectIgnoreFiles: ['.ignore'] });
+    expect(res.map(entry => entry.path)).toContain('a.log');
+    expect(res.map(entry => entry.path)).not.toContain(Path.normalize('src/c.tmp'));
+  });
+
+  it('is supported by the sync API', async () => {
+    const options = { respectIgnoreFiles: ['.gitignore', '.ignore'] };
+    const res = readdirpSync(currPath, options);
+    const streamed = await read(options);
+    expect(res.map(entry => entry.path)).toEqual(streamed.map(entry => entry.path));
+  });
+});
+
+describe('watch', () => {
+  let watcher;
+
+  const nextEvent = (name, predicate = () => true) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timeout waiting for "${name}"`)), 2000);
+    const listener = (entry) => {
+      if (predicate(entry)) {
+        clearTimeout(timer);
+        watcher.off(name, listener);
+        resolve(entry);
+      }
+    };
+    watcher.on(name, listener);
+  });
+
+  const watch = async (options) => {
+    const initial = [];
+    watcher = readdirp.watch(currPath, options).on('data', entry => initial.push(entry));
+    await nextEvent('ready');
+    return initial;
+  };
+
+  afterEach(() => {
+    watcher.close();
+  });
+
+  it('emits the initial entries', async () => {
+    await touch(['a.js', 'b.txt'], ['sub']);
+    await touch(['sub/c.js']);
+    const initial = await watch({ fileFilter: '*.js' });
+    expect(initial.map(entry => entry.path).sort()).toEqual(['a.js', Path.join('sub', 'c.js')]);
+  });
+
+  it('emits add, change and unlink for matching files', async () => {
+    await touch(['a.js']);
+    await watch({ fileFilter: '*.js' });
+    const events = [];
+    watcher.on('add', entry => events.push(['add', entry.path]));
+
+    const added = nextEvent('add', entry => entry.path === 'd.js');
+    await writeFile(Path.join(currPath, 'e.txt'), 'ignored');
+    await writeFile(Path.join(currPath, 'd.js'), 'added');
+    expect(await added).toMatchObject(formatEntry('d.js', currPath));
+
+    const changed = nextEvent('change', entry => entry.path === 'a.js');
+    await writeFile(Path.join(currPath, 'a.js'), 'changed');
+    expect(await changed).toMatchObject(formatEntry('a.js', currPath));
+
+    const unlinked = nextEvent('unlink');
+    await pRimraf(Path.join(currPath, 'a.js'));
+    expect(await unlinked).toMatchObject(formatEntry('a.js', currPath));
+    expect(events).toEqual([['add', 'd.js']]);
+  });
+
+  it('does not emit change for a file added in the same flush', async () => {
+    await watch();
+    const events = [];
+    watcher
+      .on('add', entry => events.push(['add', entry.path]))
+      .on('change', entry => events.push(['change', entry.path]));
+
+    const added = nextEvent('add');
+    await writeFile(Path.join(currPath, 'a.txt'), 'added');
+    await added;
+    await delay(200);
+    expect(events).toEqual([['add', 'a.txt']]);
+  });
+
+  it('emits addDir and unlinkDir with their content', async () => {
+    await watch({ type: 'all' });
+
+    const addedDir = nextEvent('addDir');
+    const added = nextEvent('add');
+    await mkdir(Path.join(currPath, 'sub'));
+    expect(await addedDir).toMatchObject(formatEntry('sub', currPath));
+    await writeFile(Path.join(currPath, 'sub/f.txt'), 'added');
+    expect(await added).toMatchObject(formatEntry(Path.join('sub', 'f.txt'), currPath));
+
+    const unlinked = nextEvent('unlink');
+    const unlinkedDir = nextEvent('unlinkDir');
+    await pRimraf(Path.join(currPath, 'sub'));
+    expect(await unlinked).toMatchObject(formatEntry(Path.join('sub', 'f.txt'), currPath));
+    expect(await unlinkedDir).toMatchObject(formatEntry('sub', currPath));
+  });
+
+  it('handles renames', async () => {
+    await touch(['a.js']);
+    await watch();
+    const unlinked = nextEvent('unlink');
+    const added = nextEvent('add');
+    await rename(Path.join(currPath, 'a.js'), Path.join(currPath, 'b.js'));
+    expect(await unlinked).toMatchObject(formatEntry('a.js', currPath));
+    expect(await added).toMatchObject(formatEntry('b.js', currPath));
+  });
+
+  it('respects directoryFilter and depth', async () => {
+    await touch([], ['skip', 'keep', 'keep/deep']);
+    await watch({ directoryFilter: '!skip', depth: 1 });
+    const events = [];
+    watcher.on('add', entry => events.push(entry.path));
+
+    const added = nextEvent('add');
+    await writeFile(Path.join(currPath, 'skip/a.txt'), '');
+    await writeFile(Path.join(currPath, 'keep/deep/b.txt'), '');
+    await writeFile(Path.join(currPath, 'keep/c.txt'), '');
+    await added;
+    await delay(100);
+    expect(events).toEqual([Path.join('keep', 'c.txt')]);
+  });
+
+  it('stops emitting once closed', async () => {
+    await watch();
+    const closed = nextEvent('close');
+    watcher.close();
+    await closed;
+    let isAddCalled = false;
+    watcher.on('add', () => {
+      isAddCalled = true;
+    });
+    await writeFile(Path.join(currPath, 'a.txt'), '');
+    await delay(100);
+    expect(isAddCalled).toBe(false);
+  });
+});
+
+describe('hash', () => {
+  const sha = (content, algorithm = 'sha256') => createHash(algorithm).update(content).digest('hex');
+
+  beforeEach(async () => {
+    await touch([], ['d']);
+    await writeFile(Path.join(currPath, 'a.txt'), 'a');
+    await writeFile(Path.join(currPath, 'd/b.txt'), 'bb');
+  });
+
+  it('adds the digest to file entries', async () => {
+    const res = await read({ type: 'all', hash: true });
+    const byPath = Object.fromEntries(res.map(entry => [toPosix(entry.path), entry]));
+    expect(byPath['a.txt'].hash).toBe(sha('a'));
+    expect(byPath['d/b.txt'].hash).toBe(sha('bb'));
+    expect(byPath.d.hash).toBeUndefined();
+  });
+
+  it('accepts an algorithm name', async () => {
+    const res = await read({ fileFilter: 'a.txt', hash: 'sha1' });
+    expect(res[0].hash).toBe(sha('a', 'sha1'));
+  });
+
+  it('skips files larger than maxSize', async () => {
+    const res = await read({ alwaysStat: true, hash: { maxSize: 1 } });
+    const byPath = Object.fromEntries(res.map(entry => [toPosix(entry.path), entry]));
+    expect(byPath['a.txt'].hash).toBe(sha('a'));
+    expect(byPath['d/b.txt'].hash).toBeUndefined();
+  });
+
+  it('reuses cached digests of unchanged files', async () => {
+    const cache = new Map();
+    await read({ hash: { cache } });
+    expect(cache.size).toBe(2);
+    for (const key of cache.keys()) {
+      cache.set(key, 'cached');
+    }
+    const res = await read({ hash: { cache } });
+    expect(res.map(entry => entry.hash)).toEqual(['cached', 'cached']);
+
+    await writeFile(Path.join(currPath, 'a.txt'), 'changed');
+    const [entry] = await read({ fileFilter: 'a.txt', hash: { cache } });
+    expect(entry.hash).toBe(sha('changed'));
+  });
+
+  it('throws on unknown algorithm', () => {
+    expect(() => readdirp(currPath, { hash: 'nope' })).toThrow(/Invalid hash algorithm/);
+  });
+});
+
+describe('snapshot', () => {
+  const collect = async (stream) => {
+    const records = [];
+    for await (const record of stream) {
+      records.push(record);
+    }
+    return records.sort((a, b) => (a.path > b.path ? 1 : -1));
+  };
+
+  beforeEach(async () => {
+    await touch(['a.txt', 'b.txt', 'c.txt', 'd'], ['e']);
+    await touch(['e/f.txt']);
+  });
+
+  it('saves entries as JSON', async () => {
+    const snapshot = await readdirp.snapshot(currPath, { type: 'all', hash: true });
+    const restored = JSON.parse(JSON.stringify(snapshot));
+    expect(restored).toEqual(snapshot);
+    expect(snapshot.entries).toHaveLength(6);
+    const file = snapshot.entries.find(entry => entry.path === 'e/f.txt');
+    expect(file).toMatchObject({ type: 'file', size: expect.any(Number), mtimeMs: expect.any(Number) });
+    expect(file.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(snapshot.entries.find(entry => entry.path === 'e')).toMatchObject({ type: 'directory' });
+  });
+
+  it('streams the differences', async () => {
+    const options = { type: 'all' };
+    const snapshot = JSON.parse(JSON.stringify(await readdirp.snapshot(currPath, options)));
+    await pRimraf(Path.join(currPath, 'a.txt'));
+    await writeFile(Path.join(currPath, 'b.txt'), 'modified content');
+    await pRimraf(Path.join(currPath, 'd'));
+    await mkdir(Path.join(currPath, 'd'));
+    await writeFile(Path.join(currPath, 'g.txt'), '');
+
+    const records = await collect(readdirp.diff(snapshot, currPath, options));
+    expect(records.map(({ change, path }) => [change, path])).toEqual([
+      ['removed', 'a.txt'],
+      ['modified', 'b.txt'],
+      ['typeChanged', 'd'],
+      ['added', 'g.txt']
+    ]);
+    expect(records[1].before.size).not.toBe(records[1].after.size);
+  });
+
+  it('detects content changes with hashes', async () => {
+    const snapshot = await readdirp.snapshot(currPath, { hash: 'sha1' });
+    const file = snapshot.entries.find(entry => entry.path === 'c.txt');
+    file.hash = file.hash.replace(/^./, char => (char === '0' ? '1' : '0'));
+
+    const records = await collect(readdirp.diff(snapshot, currPath, { hash: 'sha1' }));
+    expect(records.map(({ change, path }) => [change, path])).toEqual([['modified', 'c.txt']]);
+  });
+
+  it('throws on invalid snapshot', () => {
+    expect(() => readdirp.diff({}, currPath)).toThrow(/snapshot argument/);
+  });
+});
+
+describe('fs', () => {
+  const createFs = () => {
+    const vol = Volume.fromJSON({
+      '/project/a.js': 'a',
+      '/project/b.txt': 'b',
+      '/project/lib/c.js': 'c',
+      '/project/lib/deep/d.js': 'd',
+      '/project/.gitignore': 'deep/'
+    });
+    vol.symlinkSync('/project/lib', '/project/link');
+    vol.symlinkSync('/project', '/project/lib/loop');
+    return createFsFromVolume(vol);
+  };
+  const paths = entries => entries.map(entry => toPosix(entry.path)).sort();
+
+  it('walks the given fs, following its symlinks', async () => {
+    const warnings = [];
+    const res = await readdirp('/project', { fs: createFs(), fileFilter: '*.js' })
+      .on('warn', warning => warnings.push(warning));
+    expect(paths(res)).toEqual(['a.js', 'lib/c.js', 'lib/deep/d.js', 'link/c.js', 'link/deep/d.js']);
+    expect(warnings.map(warning => warning.code)).toEqual(['READDIRP_RECURSIVE_ERROR', 'READDIRP_RECURSIVE_ERROR']);
+  });
+
+  it('uses the given fs for stats, ignore files and hashes', async () => {
+    const options = {
+      fs: createFs(),
+      type: 'all',
+      alwaysStat: true,
+      respectIgnoreFiles: ['.gitignore'],
+      hash: 'sha1'
+    };
+    const res = await readdirp('/project', options);
+    expect(paths(res)).toEqual(['.gitignore', 'a.js', 'b.txt', 'lib', 'lib/c.js', 'link', 'link/c.js']);
+    expect(res.every(entry => entry.stats)).toBe(true);
+    expect(res.find(entry => entry.path === 'a.js').hash).toBe(createHash('sha1').update('a').digest('hex'));
+  });
+
+  it('is used by the sync API', () => {
+    const res = readdirpSync('/project', { fs: createFs(), fileFilter: '*.js', respectIgnoreFiles: ['.gitignore'] });
+    expect(paths(res)).toEqual(['a.js', 'lib/c.js', 'link/c.js']);
+  });
+});
+
+describe('oneFileSystem', () => {
+  // Everything under /project/mnt is on another device.
+  const createMountedFs = () => {
+    const vol = Volume.fromJSON({
+      '/project/a.js': '',
+      '/project/lib/b.js': '',
+      '/project/mnt/c.js': '',
+      '/project/mnt/deep/d.js': ''
+    });
+    vol.symlinkSync('/project/mnt', '/project/lib/link');
+    const memfs = createFsFromVolume(vol);
+    const withDev = (stats, path) => {
+      stats.dev = toPosix(path).startsWith('/project/mnt') ? 2 : 1;
+      return stats;
+    };
+    // `stat` gives the device of the target of links.
+    const { promises } = memfs;
+    return {
+      ...memfs,
+      promises: {
+        ...promises,
+        stat: async (path, ...args) => withDev(await promises.stat(path, ...args), memfs.realpathSync(path)),
+        lstat: async (path, ...args) => withDev(await promises.lstat(path, ...args), path)
+      },
+      statSync: (path, ...args) => withDev(memfs.statSync(path, ...args), memfs.realpathSync(path)),
+      lstatSync: (path, ...args) => withDev(memfs.lstatSync(path, ...args), path)
+    };
+  };
+  const paths = entries => entries.map(entry => toPosix(entry.path)).sort();
+
+  it('does not walk other file systems', async () => {
+    const options = { fs: createMountedFs(), type: 'all', oneFileSystem: true };
+    expect(paths(await readdirp('/project', options))).toEqual(['a.js', 'lib', 'lib/b.js']);
+    expect(paths(await readdirp('/project', { ...options, alwaysStat: true }))).toEqual(['a.js', 'lib', 'lib/b.js']);
+    expect(paths(readdirpSync('/project', options))).toEqual(['a.js', 'lib', 'lib/b.js']);
+  });
+
+  it('includes mount points', async () => {
+    const options = {
+      fs: createMountedFs(),
+      type: 'all',
+      oneFileSystem: true,
+      includeMountPoints: true
+    };
+    const res = await readdirp('/project', options);
+    expect(paths(res)).toEqual(['a.js', 'lib', 'lib/b.js', 'lib/link', 'mnt']);
+    expect(res.filter(entry => entry.mountPoint).map(entry => entry.basename).sort()).toEqual(['link', 'mnt']);
+    expect(res.find(entry => entry.basename === 'lib').mountPoint).toBeUndefined();
+    expect(paths(readdirpSync('/project', options))).toEqual(['a.js', 'lib', 'lib/b.js', 'lib/link', 'mnt']);
+  });
+
+  it('walks every file system by default', async () => {
+    const res = await readdirp('/project', { fs: createMountedFs() });
+    expect(paths(res)).toEqual(['a.js', 'lib/b.js', 'lib/link/c.js', 'lib/link/deep/d.js', 'mnt/c.js', 'mnt/deep/d.js']);
+  });
+});
+
+describe('archives', () => {
+  const createTar = (members) => {
+    const blocks = [];
+    for (const {
+      name,
+      type = '0',
+      content = '',
+      sizeField
+    } of members) {
+      const data = Buffer.from(content);
+      const header = Buffer.alloc(512);
+      header.write(name.slice(0, 100), 0);
+      header.write('0000644\0', 100);
+      if (sizeField) {
+        sizeField.copy(header, 124);
+      } else {
+        header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+      }
+      header.write(`${Math.floor(Date.now() / 1000).toString(8).padStart(11, '0')}\0`, 136);
+      header.write(' '.repeat(8), 148);
+      header.write(type, 156);
+      header.write('ustar\u000000', 257);
+      const checksum = header.reduce((sum, byte) => sum + byte, 0);
+      header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+      blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+  };
+
+  // Stored (not compressed) members, without checksums.
+  const createZip = (members) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const {
+      name,
+      content = '',
+      size,
+      extra = Buffer.alloc(0)
+    } of members) {
+      const nameBuffer = Buffer.from(name);
+      const data = Buffer.from(content);
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt32LE(data.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(nameBuffer.length, 26);
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(0x21, 14);
+      central.writeUInt32LE(data.length, 20);
+      central.writeUInt32LE(size === undefined ? data.length : size, 24);
+      central.writeUInt16LE(nameBuffer.length, 28);
+      central.writeUInt16LE(extra.length, 30);
+      central.writeUInt32LE(offset, 42);
+      locals.push(local, nameBuffer, data);
+      centrals.push(central, nameBuffer, extra);
+      offset += local.length + nameBuffer.length + data.length;
+    }
+    const centralDirectory = Buffer.concat(centrals);
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(members.length, 8);
+    eocd.writeUInt16LE(members.length, 10);
+    eocd.writeUInt32LE(centralDirectory.length, 12);
+    eocd.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, centralDirectory, eocd]);
+  };
+
+  const writeUInt64 = (buffer, value, offset) => {
+    buffer.writeUInt32LE(value % 0x100000000, offset);
+    buffer.writeUInt32LE(Math.floor(value / 0x100000000), offset + 4);
+  };
+
+  // Moves the size and offset of the central directory to a zip64 end of central directory record.
+  const toZip64 = (zip, { directorySize } = {}) => {
+    const body = zip.subarray(0, zip.length - 22);
+    const eocd = Buffer.from(zip.subarray(zip.length - 22));
+    const zip64Eocd = Buffer.alloc(56);
+    zip64Eocd.writeUInt32LE(0x06064b50, 0);
+    writeUInt64(zip64Eocd, directorySize === undefined ? eocd.readUInt32LE(12) : directorySize, 40);
+    writeUInt64(zip64Eocd, eocd.readUInt32LE(16), 48);
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    writeUInt64(locator, body.length, 8);
+    eocd.writeUInt32LE(0xffffffff, 12);
+    eocd.writeUInt32LE(0xffffffff, 16);
+    return Buffer.concat([body, zip64Eocd, locator, eocd]);
+  };
+
+  // Extra field with the uncompressed size of a member, or a truncated one.
+  const zip64Extra = (size, fieldSize = 8) => {
+    const extra = Buffer.alloc(4 + 8);
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(fieldSize, 2);
+    writeUInt64(extra, size, 4);
+    return extra.subarray(0, 4 + fieldSize);
+  };
+
+  const longName = `pkg/${'a'.repeat(120)}.js`;
+  const archives = ['zip', 'tar', 'tgz'];
+  const paths = entries => entries.map(entry => toPosix(entry.path)).sort();
+
+  beforeEach(async () => {
+    await touch(['a.js']);
+    await writeFile(Path.join(currPath, 'dist.zip'), createZip([
+      { name: 'lib/' },
+      { name: 'lib/b.js', content: 'b' },
+      { name: 'README.md', content: 'readme' },
+      { name: '../evil.js' }
+    ]));
+    const tar = createTar([
+      { name: 'pkg/index.js', content: 'index' },
+      { name: '././@LongLink', type: 'L', content: `${longName}\0` },
+      { name: longName }
+    ]);
+    await writeFile(Path.join(currPath, 'bundle.tar'), tar);
+    await writeFile(Path.join(currPath, 'vendor.tar.gz'), gzipSync(tar));
+  });
+
+  it('walks into the members of archives', async () => {
+    const res = await read({ archives });
+    expect(paths(res)).toEqual([
+      'a.js',
+      'bundle.tar',
+      `bundle.tar/${longName}`,
+      'bundle.tar/pkg/index.js',
+      'dist.zip',
+      'dist.zip/README.md',
+      'dist.zip/lib/b.js',
+      'vendor.tar.gz',
+      `vendor.tar.gz/${longName}`,
+      'vendor.tar.gz/pkg/index.js'
+    ]);
+    const member = res.find(entry => toPosix(entry.path) === 'dist.zip/lib/b.js');
+    expect(member.archive).toBe(Path.join(currPath, 'dist.zip'));
+    expect(member.fullPath).toBe(Path.join(currPath, 'dist.zip', 'lib', 'b.js'));
+    expect(member.basename).toBe('b.js');
+    expect(res.find(entry => entry.path === 'a.js').archive).toBeUndefined();
+  });
+
+  it('only walks the given formats', async () => {
+    const res = await read({ archives: ['zip'] });
+    expect(paths(res)).toEqual(['a.js', 'bundle.tar', 'dist.zip', 'dist.zip/README.md', 'dist.zip/lib/b.js', 'vendor.tar.gz']);
+  });
+
+  it('applies filters, depth and type to the members', async () => {
+    let res = await read({ archives, fileFilter: '*.js', directoryFilter: '!vendor.tar.gz' });
+    expect(paths(res)).toEqual(['a.js', `bundle.tar/${longName}`, 'bundle.tar/pkg/index.js', 'dist.zip/lib/b.js']);
+
+    res = await read({ archives: ['zip'], depth: 1 });
+    expect(paths(res)).toEqual(['a.js', 'bundle.tar', 'dist.zip', 'dist.zip/README.md', 'vendor.tar.gz']);
+
+    res = await read({ archives, type: 'directories' });
+    expect(paths(res)).toEqual(['bundle.tar/pkg', 'dist.zip/lib', 'vendor.tar.gz/pkg']);
+  });
+
+  it('gives stats of the members', async () => {
+    const res = await read({ archives, alwaysStat: true, fileFilter: 'README.md' });
+    expect(res).toHaveLength(1);
+    expect(res[0].stats.isFile()).toBe(true);
+    expect(res[0].stats.size).toBe('readme'.length);
+    expect(res[0].stats.mtime).toBeInstanceOf(Date);
+  });
+
+  it('emits a warning for invalid archives', async () => {
+    await writeFile(Path.join(currPath, 'broken.zip'), 'not a zip');
+    await writeFile(Path.join(currPath, 'broken.tgz'), 'not gzipped');
+    const warnings = [];
+    const res = await readdirp(currPath, { archives, fileFilter: 'broken.*' })
+      .on('warn', warning => warnings.push(warning));
+    expect(paths(res)).toEqual(['broken.tgz', 'broken.zip']);
+    expect(warnings.map(warning => warning.code)).toEqual(['READDIRP_ARCHIVE_ERROR', 'READDIRP_ARCHIVE_ERROR']);
+  });
+
+  it('reads zip64 archives', async () => {
+    const zip = createZip([{ name: 'big.bin', size: 0xffffffff, extra: zip64Extra(2 ** 33) }]);
+    await writeFile(Path.join(currPath, 'big.zip'), toZip64(zip));
+    const res = await read({ archives, alwaysStat: true, fileFilter: 'big.bin' });
+    expect(paths(res)).toEqual(['big.zip/big.bin']);
+    expect(res[0].stats.size).toBe(2 ** 33);
+  });
+
+  it('emits a warning for corrupt or truncated zip64 archives', async () => {
+    const zip = createZip([{ name: 'a.txt', content: 'a' }]);
+    // Only the records at the end are left, the zip64 one included.
+    await writeFile(Path.join(currPath, 'truncated.zip'), toZip64(zip).subarray(-(56 + 20 + 22)));
+    await writeFile(Path.join(currPath, 'oversized.zip'), toZip64(zip, { directorySize: 2 ** 40 }));
+    const shortExtra = createZip([{ name: 'big.bin', size: 0xffffffff, extra: zip64Extra(2 ** 33, 4) }]);
+    await writeFile(Path.join(currPath, 'extra.zip'), toZip64(shortExtra));
+    const warnings = [];
+    const res = await readdirp(currPath, { archives, fileFilter: ['truncated.zip', 'oversized.zip', 'extra.zip'] })
+      .on('warn', warning => warnings.push(warning));
+    expect(paths(res)).toEqual(['extra.zip', 'oversized.zip', 'truncated.zip']);
+    expect(warnings.map(warning => warning.code)).toEqual(Array(3).fill('READDIRP_ARCHIVE_ERROR'));
+    expect(warnings.map(warning => warning.message.replace(/^.*": /, '')).sort()).toEqual([
+      'central directory out of bounds',
+      'truncated zip64 extra field',
+      'zip64 end of central directory out of bounds'
+    ]);
+  });
+
+  it('emits a warning for tar archives with corrupt sizes', async () => {
+    // Base-256 size, far beyond the safe integers.
+    const base256 = Buffer.from([0x80, ...Array(11).fill(0xff)]);
+    await writeFile(Path.join(currPath, 'base256.tar'), createTar([{ name: 'long', type: 'L', sizeField: base256 }]));
+    const octal = Buffer.from(`${(512 * 1024 * 1024).toString(8).padStart(11, '0')}\0`);
+    await writeFile(Path.join(currPath, 'pax.tar'), createTar([{ name: 'pax', type: 'x', sizeField: octal }]));
+    const warnings = [];
+    const res = await readdirp(currPath, { archives, fileFilter: ['base256.tar', 'pax.tar'] })
+      .on('warn', warning => warnings.push(warning));
+    expect(paths(res)).toEqual(['base256.tar', 'pax.tar']);
+    expect(warnings.map(warning => warning.code)).toEqual(Array(2).fill('READDIRP_ARCHIVE_ERROR'));
+    expect(warnings.map(warning => warning.message.replace(/^.*": /, '')).sort()).toEqual([
+      'extended header too large',
+      'invalid member size'
+    ]);
+  });
+
+  it('throws on invalid formats or with the sync API', () => {
+    expect(() => readdirp(currPath, { archives: ['rar'] })).toThrow(/Invalid archives/);
+    expect(() => readdirpSync(currPath, { archives })).toThrow(/not supported by readdirpSync/);
+  });
+});
+
+describe('onError', () => {
+  beforeEach(async () => {
+    await touch([], ['b', 'c']);
+    await touch(['a.txt', 'b/d.txt', 'c/e.txt']);
+  });
+
+  // Fails to read `b` the given count of times.
+  const createFs = (failures, code = 'EBUSY') => {
+    const readdir = (path, ...args) => {
+      if (path === Path.join(currPath, 'b') && failures-- > 0) {
+        return Promise.reject(Object.assign(new Error(`${code}: resource busy, scandir '${path}'`), { code }));
+      }
+      return fs.promises.readdir(path, ...args);
+    };
+    return { ...fs, promises: { ...fs.promises, readdir } };
+  };
+
+  const paths = entries => entries.map(entry => toPosix(entry.path)).sort();
+
+  it('skips errors with their context', async () => {
+    const contexts = [];
+    const stream = readdirp(currPath, {
+      fs: createFs(Infinity),
+      onError: (error, context) => {
+        contexts.push(context);
+        return 'skip';
+      }
+    });
+    const res = await stream;
+    expect(paths(res)).toEqual(['a.txt', 'c/e.txt']);
+    expect(contexts).toEqual([
+      {
+        path: Path.join(currPath, 'b'),
+        operation: 'readdir',
+        depth: 1,
+        attempt: 1
+      }
+    ]);
+    expect(res.errors).toHaveLength(1);
+    expect(res.errors[0]).toMatchObject({ path: Path.join(currPath, 'b'), operation: 'readdir', depth: 1 });
+    expect(res.errors[0].error.code).toBe('EBUSY');
+    expect(stream.errors).toBe(res.errors);
+  });
+
+  it('retries operations', async () => {
+    const res = await read({
+      fs: createFs(2),
+      onError: (error, { attempt }) => (attempt < 3 ? 'retry' : 'skip')
+    });
+    expect(paths(res)).toEqual(['a.txt', 'b/d.txt', 'c/e.txt']);
+    expect(res.errors).toEqual([]);
+  });
+
+  it('skips errors still failing after the last retry', async () => {
+    const attempts = [];
+    const start = Date.now();
+    const res = await read({
+      fs: createFs(Infinity),
+      onError: (error, { attempt }) => {
+        attempts.push(attempt);
+        return 'retry';
+      }
+    });
+    expect(attempts).toEqual([1, 2, 3, 4, 5]);
+    // 20 + 40 + 80 + 160 ms between the attempts.
+    expect(Date.now() - start).toBeGreaterThanOrEqual(290);
+    expect(paths(res)).toEqual(['a.txt', 'c/e.txt']);
+    expect(res.errors).toHaveLength(1);
+    expect(res.errors[0].error.code).toBe('EBUSY');
+  });
+
+  it('aborts on errors', async () => {
+    await expect(read({ fs: createFs(Infinity) })).rejects.toThrow(/EBUSY/);
+    await expect(read({ fs: createFs(Infinity, 'ENOENT'), onError: () => 'abort' })).rejects.toThrow(/ENOENT/);
+    await expect(read({ fs: createFs(Infinity), onError: () => 'ignore' })).rejects.toThrow(/onError returned ignore/);
+  });
+
+  it('uses the default without a decision', async () => {
+    const res = await read({ fs: createFs(Infinity, 'ENOENT'), onError: () => undefined });
+    expect(paths(res)).toEqual(['a.txt', 'c/e.txt']);
+    expect(res.errors).toHaveLength(1);
+  });
+
+  it('is not supported by the sync API', () => {
+    expect(() => readdirpSync(currPath, { onError: () => 'skip' })).toThrow(/not supported by readdirpSync/);
+  });
+});
+
+describe('progress', () => {
+  beforeEach(async () => {
+    await touch([], ['b', 'c']);
+    await writeFile(Path.join(currPath, 'a.txt'), 'aaa');
+    await writeFile(Path.join(currPath, 'b/d.txt'), 'ddddd');
+    await writeFile(Path.join(currPath, 'b/f.js'), 'ff');
+    await writeFile(Path.join(currPath, 'c/e.txt'), 'eeeeeee');
+  });
+
+  it('counts entries seen, emitted and filtered', async () => {
+    const stream = readdirp(currPath, { fileFilter: '*.txt', alwaysStat: true });
+    const res = await stream;
+    expect(res).toHaveLength(3);
+    expect(stream.stats).toEqual({
+      directoriesQueued: 3,
+      directoriesRead: 3,
+      entriesSeen: 6,
+      entriesEmitted: 3,
+      // `f.js`, directories are only hidden by `type`.
+      entriesFiltered: 1,
+      bytesSeen: 15,
+      elapsedMs: expect.any(Number),
+      currentDirectory: null
+    });
+  });
+
+  it('counts entries rejected by directoryFilter, ignore rules and predicates as filtered', async () => {
+    await writeFile(Path.join(currPath, '.gitignore'), 'a.*\n');
+    for (const workers of [0, 1]) {
+      const stream = readdirp(currPath, {
+        directoryFilter: '!c',
+        respectIgnoreFiles: ['.gitignore'],
+        minSize: 5,
+        workers
+      });
+      expect((await stream).map(entry => toPosix(entry.path)).sort()).toEqual(['b/d.txt']);
+      // `c`, `a.txt`, and `.gitignore` and `b/f.js` being too small.
+      expect(stream.stats.entriesFiltered).toBe(4);
+    }
+  });
+
+  it('emits throttled progress events, and a last one before end', async () => {
+    const events = [];
+    const stream = readdirp(currPath, { type: 'all', progressInterval: 60000 });
+    stream.on('progress', stats => events.push(stats));
+    const res = await stream;
+    expect(res).toHaveLength(6);
+    // The first one isn't throttled.
+    expect(events).toHaveLength(2);
+    expect(events[0].directoriesRead).toBe(1);
+    expect(events[1]).toMatchObject({
+      directoriesRead: 3,
+      entriesSeen: 6,
+      entriesEmitted: 6,
+      entriesFiltered: 0
+    });
+  });
+
+  it('keeps the default progressInterval when unset', async () => {
+    const events = [];
+    const stream = readdirp(currPath, { progressInterval: undefined });
+    stream.on('progress', stats => events.push(stats));
+    await stream;
+    // Not only the last one.
+    expect(events.length).toBeGreaterThanOrEqual(2);
+    expect(events[0].directoriesRead).toBe(1);
+  });
+
+  it('tells the directory being read', async () => {
+    const stream = readdirp(currPath, { progressInterval: 0 });
+    const directories = new Set();
+    stream.on('progress', ({ currentDirectory }) => directories.add(currentDirectory));
+    await stream;
+    expect(directories).toEqual(new Set([null, currPath, Path.join(currPath, 'b'), Path.join(currPath, 'c')]));
+  });
+
+  it('validates progressInterval', () => {
+    expect(() => readdirp(currPath, { progressInterval: -1 })).toThrow(/progressInterval/);
+  });
+});
+
+describe('checkpoint', () => {
+  beforeEach(async () => {
+    await touch([], ['a', 'a/b', 'a/b/c', 'd']);
+    await touch(['x.txt', 'a/1.txt', 'a/2.txt', 'a/b/3.txt', 'a/b/c/4.txt', 'd/5.txt', 'd/6.txt']);
+    await writeFile(Path.join(currPath, 'a/.gitignore'), '2.txt');
+  });
+
+  // Reads the given count of entries, then takes a checkpoint through JSON.
+  const readUntil = async (options, count) => {
+    const paths = [];
+    const stream = readdirp(currPath, options);
+    for await (const entry of stream) {
+      paths.push(entry.path);
+      if (paths.length === count) {
+        return { paths, cursor: JSON.parse(JSON.stringify(stream.checkpoint())) };
+      }
+    }
+    return { paths, cursor: null };
+  };
+
+  it('resumes the walk without duplicates nor missing entries', async () => {
+    for (const order of [undefined, 'bfs', 'dfs-pre', 'dfs-post']) {
+      const options = {
+        type: 'all',
+        order,
+        sort: 'name',
+        respectIgnoreFiles: ['.gitignore'],
+        highWaterMark: 2
+      };
+      const { paths: all } = await readUntil(options);
+      expect(all.map(toPosix)).not.toContain('a/2.txt');
+      for (let count = 1; count < all.length; count++) {
+        const { paths, cursor } = await readUntil(options, count);
+        const rest = await read({ ...options, resumeFrom: cursor });
+        expect([...paths, ...rest.map(entry => entry.path)]).toEqual(all);
+      }
+    }
+  });
+
+  it('pushes again the entries which were not read', async () => {
+    const { cursor } = await readUntil({ type: 'all', alwaysStat: true }, 1);
+    expect(cursor.entries.length).toBeGreaterThan(0);
+    const rest = await read({ type: 'all', alwaysStat: true, resumeFrom: cursor });
+    expect(rest.slice(0, cursor.entries.length).map(entry => entry.path)).toEqual(cursor.entries);
+    expect(rest[0].stats).toBeDefined();
+  });
+
+  it('emits directoryEnd of the resumed directories and their ancestors', async () => {
+    const { cursor } = await readUntil({ order: 'dfs-pre', sort: 'name', highWaterMark: 1 }, 2);
+    const ended = [];
+    const stream = readdirp(currPath, { order: 'dfs-pre', sort: 'name', resumeFrom: cursor });
+    stream.on('directoryEnd', entry => ended.push(entry.path));
+    await stream;
+    expect(ended.map(toPosix)).toEqual(['a/b/c', 'a/b', 'a', 'd', '']);
+  });
+
+  it('validates the cursor', async () => {
+    const { cursor } = await readUntil({}, 1);
+    expect(() => readdirp(currPath, { resumeFrom: {} })).toThrow(/must be created by stream.checkpoint/);
+    expect(() => readdirp(Path.join(currPath, 'a'), { resumeFrom: cursor })).toThrow(/was taken from/);
+    expect(() => readdirp(currPath, { order: 'bfs', resumeFrom: cursor })).toThrow(/was taken from/);
+    expect(() => readdirp(currPath, { aggregate: true, resumeFrom: cursor })).toThrow(/not supported with aggregate/);
+    expect(() => readdirpSync(currPath, { resumeFrom: cursor })).toThrow(/not supported by readdirpSync/);
+    expect(() => readdirp([currPath]).checkpoint()).toThrow(/not supported with multiple roots/);
+  });
+});
+
+describe('cache', () => {
+  let tree;
+  let cacheFile;
+  beforeEach(async () => {
+    tree = Path.join(currPath, 'tree');
+    cacheFile = Path.join(currPath, 'cache.json');
+    await mkdir(tree);
+    await mkdir(Path.join(tree, 'b'));
+    await writeFile(Path.join(tree, 'a.txt'), 'aaa');
+    await writeFile(Path.join(tree, 'b/c.txt'), 'ccccc');
+  });
+
+  // Records the directories read.
+  const createFs = (listed) => {
+    const readdir = (path, ...args) => {
+      listed.push(Path.relative(tree, path));
+      return fs.promises.readdir(path, ...args);
+    };
+    return { ...fs, promises: { ...fs.promises, readdir } };
+  };
+
+  const walk = async (options, listed = []) => {
+    const res = await readdirp(tree, { cache: cacheFile, fs: createFs(listed), ...options });
+    return res.map(entry => toPosix(entry.path)).sort();
+  };
+
+  it('reuses the listings of the directories which did not change', async () => {
+    const listed = [];
+    expect(await walk({}, listed)).toEqual(['a.txt', 'b/c.txt']);
+    expect(listed.sort()).toEqual(['', 'b']);
+
+    listed.length = 0;
+    expect(await walk({}, listed)).toEqual(['a.txt', 'b/c.txt']);
+    expect(listed).toEqual([]);
+
+    await writeFile(Path.join(tree, 'b/d.txt'), 'ddd');
+    expect(await walk({}, listed)).toEqual(['a.txt', 'b/c.txt', 'b/d.txt']);
+    expect(listed).toEqual(['b']);
+  });
+
+  it('keeps the listings of the directories not walked', async () => {
+    await mkdir(Path.join(tree, 'b/e'));
+    await walk();
+    expect(await walk({ depth: 0 })).toEqual(['a.txt']);
+    const listed = [];
+    expect(await walk({}, listed)).toEqual(['a.txt', 'b/c.txt']);
+    expect(listed).toEqual([]);
+
+    await pRimraf(Path.join(tree, 'b'));
+    await walk();
+    const { directories } = JSON.parse(await readFile(cacheFile, 'utf8'));
+    expect(Object.keys(directories)).toEqual([tree]);
+  });
+
+  it('stats the entries again with alwaysStat', async () => {
+    await walk({ alwaysStat: true });
+    // Modified in place, the mtime of its directory stays the same.
+    await writeFile(Path.join(tree, 'b/c.txt'), 'changed content');
+    const listed = [];
+    const res = await readdirp(tree, {
+      cache: cacheFile,
+      fs: createFs(listed),
+      alwaysStat: true,
+      type: 'all'
+    });
+    expect(listed).toEqual([]);
+    const file = res.find(entry => entry.basename === 'c.txt');
+    expect(file.stats.size).toBe('changed content'.length);
+    expect(file.stats).toBeInstanceOf(fs.Stats);
+    expect(res.find(entry => entry.basename === 'b').stats.isDirectory()).toBe(true);
+
+    // Listings without dirents don't do.
+    await walk({}, listed);
+    expect(listed.sort()).toEqual(['', 'b']);
+  });
+
+  it('keeps its file in a directory', async () => {
+    await walk({ cache: currPath });
+    const { directories } = JSON.parse(await readFile(Path.join(currPath, 'readdirp-cache.json'), 'utf8'));
+    expect(Object.keys(directories).sort()).toEqual([tree, Path.join(tree, 'b')]);
+  });
+
+  it('is not supported by the sync API', () => {
+    expect(() => readdirpSync(tree, { cache: cacheFile })).toThrow(/not supported by readdirpSync/);
+  });
+});
+
+describe('workers', () => {
+  beforeEach(async () => {
+    await touch([], ['a', 'a/b', 'c']);
+    await touch(['x.js', 'x.txt', 'a/y.js', 'a/b/z.js', 'a/b/z.txt', 'c/w.js']);
+  });
+
+  const paths = entries => entries.map(entry => toPosix(entry.path));
+
+  it('yields the same entries as the main thread', async () => {
+    const options = [
+      { fileFilter: '*.js' },
+      { directoryFilter: '!b', type: 'all' },
+      { fileFilter: entry => entry.basename !== 'x.js', directoryFilter: ['!c'] },
+      { order: 'bfs', sort: 'name' },
+      { order: 'dfs-post', sort: 'name', type: 'all' },
+      { depth: 1, alwaysStat: true, type: 'directories' }
+    ];
+    for (const option of options) {
+      expect(paths(await read({ ...option, workers: 2 }))).toEqual(paths(await read(option)));
+    }
+  });
+
+  it('respects ignore files', async () => {
+    await writeFile(Path.join(currPath, '.gitignore'), '*.txt\n');
+    await writeFile(Path.join(currPath, 'a/.gitignore'), 'b/\n');
+    const res = await read({ workers: 2, respectIgnoreFiles: ['.gitignore'], fileFilter: '!.gitignore' });
+    expect(paths(res).sort()).toEqual(['a/y.js', 'c/w.js', 'x.js']);
+  });
+
+  it('sends back stats and dirents', async () => {
+    const [file] = await read({ workers: 1, alwaysStat: true, fileFilter: 'x.txt' });
+    expect(file.stats.isFile()).toBe(true);
+    expect(file.stats.mtime).toBeInstanceOf(Date);
+    const [dir] = await read({ workers: 1, type: 'directories', depth: 0 });
+    expect(dir.dirent.isDirectory()).toBe(true);
+  });
+
+  it('reports the errors of the workers', async () => {
+    await fs.promises.symlink(Path.join(currPath, 'a'), Path.join(currPath, 'a/b/loop'));
+    const warnings = [];
+    const stream = readdirp(currPath, { workers: 1 }).on('warn', warning => warnings.push(warning));
+    expect(paths(await stream).sort()).toEqual(['a/b/z.js', 'a/b/z.txt', 'a/y.js', 'c/w.js', 'x.js', 'x.txt']);
+    expect(warnings.map(warning => warning.code)).toEqual(['READDIRP_RECURSIVE_ERROR']);
+  });
+
+  it('is not supported with options which cannot be posted', () => {
+    expect(() => readdirp(currPath, { workers: 1, sort: () => 0 })).toThrow(/not supported with a sort function/);
+    expect(() => readdirp(currPath, { workers: 1, hash: true })).toThrow(/not supported with hash option/);
+    expect(() => readdirp(currPath, { workers: -1 })).toThrow(/non-negative integer/);
+    expect(() => readdirp.watch(currPath, { workers: 1 })).toThrow(/not supported by readdirp.watch/);
+    expect(() => readdirpSync(currPath, { workers: 1 })).toThrow(/not supported by readdirpSync/);
+  });
+});
+
+describe('opendir', () => {
+  beforeEach(async () => {
+    await touch([], ['a', 'a/b']);
+    await touch(['x.js', 'x.txt', 'a/y.js', 'a/b/z.js', 'a/b/z.txt']);
+  });
+
+  const sorted = entries => entries.map(entry => toPosix(entry.path)).sort();
+
+  it('yields the same entries as readdir', async () => {
+    const options = [
+      {},
+      { type: 'all', order: 'bfs' },
+      { type: 'all', order: 'dfs-post', alwaysStat: true },
+      { fileFilter: '*.js', directoryFilter: '!b' },
+      { depth: 1, aggregate: true, type: 'directories' }
+    ];
+    for (const option of options) {
+      expect(sorted(await read({ ...option, opendir: true }))).toEqual(sorted(await read(option)));
+    }
+  });
+
+  it('reads the entries as the stream is read', async () => {
+    const names = Array.from({ length: 200 }, (_, i) => `f${i}`);
+    await touch(names.map(name => `a/b/${name}`));
+    let reads = 0;
+    const opendir = async (path, ...args) => {
+      const dir = await fs.promises.opendir(path, ...args);
+      const readEntry = dir.read.bind(dir);
+      dir.read = () => {
+        reads++;
+        return readEntry();
+      };
+      return dir;
+    };
+    const stream = readdirp(Path.join(currPath, 'a/b'), {
+      opendir: true,
+      highWaterMark: 4,
+      fs: { ...fs, promises: { ...fs.promises, opendir } }
+    });
+    await once(stream, 'readable');
+    await delay(50);
+    expect(reads).toBeGreaterThan(0);
+    expect(reads).toBeLessThan(50);
+
+    expect(sorted(await stream)).toHaveLength(names.length + 2);
+    expect(reads).toBe(names.length + 3);
+  });
+
+  it('respects ignore files', async () => {
+    await writeFile(Path.join(currPath, 'a/.gitignore'), '*.txt\n');
+    const res = await read({ opendir: true, respectIgnoreFiles: ['.gitignore'], fileFilter: '!.gitignore' });
+    expect(sorted(res)).toEqual(['a/b/z.js', 'a/y.js', 'x.js', 'x.txt']);
+  });
+
+  it('resumes from a checkpoint', async () => {
+    await touch(Array.from({ length: 50 }, (_, i) => `a/f${i}`));
+    const all = sorted(await read({ opendir: true }));
+    const stream = readdirp(currPath, { opendir: true, highWaterMark: 4 });
+    const seen = [];
+    for await (const entry of stream) {
+      seen.push(toPosix(entry.path));
+      if (seen.length === 20) {
+        break;
+      }
+    }
+    const resumed = await read({ opendir: true, resumeFrom: stream.checkpoint() });
+    expect([...seen, ...resumed.map(entry => toPosix(entry.path))].sort()).toEqual(all);
+  });
+
+  it('is not supported with whole listings', () => {
+    expect(() => readdirp(currPath, { opendir: true, sort: 'name' })).toThrow(/not supported with sort option/);
+    expect(() => readdirp(currPath, { opendir: true, cache: currPath })).toThrow(/not supported with cache option/);
+    expect(() => readdirpSync(currPath, { opendir: true })).toThrow(/not supported by readdirpSync/);
+  });
+});
+
+describe('tree', () => {
+  beforeEach(async () => {
+    await touch([], ['a', 'a/b', 'c', 'c/d']);
+    await touch(['x.js', 'a/y.js', 'a/y.txt', 'a/b/z.txt']);
+  });
+
+  // Names of the nodes, with their children.
+  const simplify = ({ name, type, children }) => (children ? [name, type, children.map(simplify)] : [name, type]);
+
+  it('nests the entries in their directories', async () => {
+    const tree = await readdirp.tree(currPath, { sort: 'name' });
+    expect(tree).toMatchObject({ name: Path.basename(currPath), path: '', type: 'directory' });
+    expect(simplify(tree)[2]).toEqual([
+      ['a', 'directory', [['b', 'directory', [['z.txt', 'file']]], ['y.js', 'file'], ['y.txt', 'file']]],
+      ['c', 'directory', [['d', 'directory', []]]],
+      ['x.js', 'file']
+    ]);
+    expect(toPosix(tree.children[0].children[0].path)).toBe('a/b');
+  });
+
+  it('drops the directories without matching entries', async () => {
+    const tree = await readdirp.tree(currPath, { sort: 'name', fileFilter: '*.js', pruneEmpty: true });
+    expect(simplify(tree)[2]).toEqual([
+      ['a', 'directory', [['y.js', 'file']]],
+      ['x.js', 'file']
+    ]);
+  });
+
+  it('keeps the directories matching type', async () => {
+    const tree = await readdirp.tree(currPath, { sort: 'name', type: 'directories', pruneEmpty: true });
+    expect(simplify(tree)[2]).toEqual([
+      ['a', 'directory', [['b', 'directory', []]]],
+      ['c', 'directory', [['d', 'directory', []]]]
+    ]);
+  });
+
+  it('keeps the options of the stream', async () => {
+    const tree = await readdirp.tree(currPath, {
+      type: 'directories',
+      order: 'dfs-post',
+      depth: 0,
+      alwaysStat: true
+    });
+    expect(tree.children.map(node => node.name).sort()).toEqual(['a', 'c']);
+    expect(tree.children[0].stats.isDirectory()).toBe(true);
+    expect(tree.children[0].children).toBeUndefined();
+  });
+
+  it('keeps the directories not walked', async () => {
+    const tree = await readdirp.tree(currPath, {
+      sort: 'name',
+      fileFilter: '*.js',
+      depth: 0,
+      pruneEmpty: true
+    });
+    expect(simplify(tree)[2]).toEqual([['a', 'directory'], ['c', 'directory'], ['x.js', 'file']]);
+  });
+
+  it('does not support multiple roots', () => {
+    expect(() => readdirp.tree([currPath])).toThrow(/multiple roots are not supported by readdirp.tree/);
+  });
+});
+
+describe('cli', () => {
+  beforeEach(async () => {
+    await touch([], ['b']);
+    await touch(['a.js', 'b/c.js', 'b/d.txt']);
+  });
+
+  const cli = (...args) => new Promise((resolve) => {
+    const bin = Path.join(__dirname, 'bin', 'readdirp.js');
+    execFile(process.execPath, [bin, ...args], { cwd: currPath }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+
+  it('parses flags into options', () => {
+    expect(parseArgs(['src', '-f', '*.js', '--file-filter=*.ts', '-d', '2', '--lstat', '--mode', '755', '-0'])).toEqual({
+      roots: ['src'],
+      options: {
+        fileFilter: ['*.js', '*.ts'],
+        depth: 2,
+        lstat: true,
+        mode: 0o755
+      },
+      format: 'null',
+      absolute: false,
+      help: false
+    });
+    expect(() => parseArgs(['--depth'])).toThrow(/requires a value/);
+    expect(() => parseArgs(['--depth', 'deep'])).toThrow(/must be a number/);
+    expect(() => parseArgs(['--bogus'])).toThrow(/unknown option/);
+  });
+
+  it('prints paths', async () => {
+    const { code, stdout } = await cli('--sort', 'name', '-f', '*.js');
+    expect(code).toBe(0);
+    expect(stdout.split('\n')).toEqual(['a.js', Path.join('b', 'c.js'), '']);
+
+    const nul = await cli('--sort', 'name', '-0', '-t', 'directories');
+    expect(nul.stdout).toBe('b\0');
+  });
+
+  it('prints entries as NDJSON or JSON with their stats', async () => {
+    const ndjson = await cli('--sort', 'name', '--ndjson', '-f', '*.txt');
+    const [entry] = ndjson.stdout.trim().split('\n').map(line => JSON.parse(line));
+    expect(entry).toMatchObject({ ...formatEntry('b/d.txt', currPath), type: 'file' });
+    expect(entry.stats.size).toBeGreaterThan(0);
+    // Same fields as the stats posted by workers.
+    expect(Object.keys(entry.stats)).toContain('blksize');
+
+    const json = await cli('--sort', 'name', '--json', '-D', '!b');
+    expect(JSON.parse(json.stdout).map(item => item.path)).toEqual(['a.js']);
+  });
+
+  it('expands a glob in a single root', async () => {
+    await touch([], ['pk', 'pk/x', 'pk/x/lib', 'pk/y', 'pk/y/lib']);
+    await touch(['pk/x/lib/x.js', 'pk/y/lib/y.js', 'pk/y/z.js']);
+    const { code, stdout } = await cli('--sort', 'name', 'pk/*/lib');
+    expect(code).toBe(0);
+    expect(stdout.split('\n')).toEqual([Path.join('pk', 'x', 'lib', 'x.js'), Path.join('pk', 'y', 'lib', 'y.js'), '']);
+  });
+
+  it('reports warnings and invalid arguments with distinct exit codes', async () => {
+    const missing = await cli('missing');
+    expect(missing.code).toBe(1);
+    expect(missing.stderr).toMatch(/ENOENT/);
+
+    const invalid = await cli('--type', 'bogus');
+    expect(invalid.code).toBe(3);
+    expect(invalid.stderr).toMatch(/Invalid type/);
+  });
+});
+
+describe('sync', () => {
+  beforeEach(async () => {
+    await touch(['a.js', 'b.txt'], ['subdir', 'subdir/deep']);
+    await touch(['subdir/c.js', 'subdir/deep/d.js']);
+  });
+
+  it('returns the same entries as the stream', async () => {
+    const options = { type: 'all', fileFilter: '*.js', depth: 1 };
+    const res = readdirpSync(currPath, options);
+    const streamed = await read(options);
+    expect(res.map(entry => entry.path)).toEqual(streamed.map(entry => entry.path));
+    expect(res.map(entry => entry.path).sort()).toEqual(['a.js', 'subdir', 'subdir/c.js', 'subdir/deep'].map(Path.normalize));
+  });
+
+  it('applies directoryFilter and alwaysStat', () => {
+    const res = readdirpSync(currPath, { directoryFilter: '!deep', alwaysStat: true });
+    expect(res.map(entry => entry.path).sort()).toEqual(['a.js', 'b.txt', 'subdir/c.js'].map(Path.normalize));
+    res.forEach((entry) => {
+      expect(entry).toHaveProperty('stats');
+    });
+  });
+
+  it('iterates lazily', () => {
+    const iterator = readdirpSync.iterate(currPath);
+    const first = iterator.next();
+    expect(first.done).toBe(false);
+    expect(first.value).toHaveProperty('fullPath');
+    iterator.return();
+  });
+
+  it('follows symlinks', async () => {
+    if (isWindows) {
+      return;
+    }
+    await symlink(Path.join(currPath, 'subdir'), Path.join(currPath, 'linked'));
+    const res = readdirpSync(currPath);
+    const streamed = await read();
+    expect(res.map(entry => entry.path)).toEqual(streamed.map(entry => entry.path));
+    expect(res.map(entry => entry.path)).toContain(Path.join('linked', 'c.js'));
+  });
+
+  it('throws on invalid arguments', () => {
+    expect(() => readdirpSync()).toThrow(/root argument is required/);
+    expect(() => readdirpSync(currPath, { type: 'bogus' })).toThrow(/Invalid type/);
+  });
+
+  it('does not support the hash option', () => {
+    expect(() => readdirpSync(currPath, { hash: true })).toThrow('readdirp: hash option is not supported by readdirpSync');
+    expect(() => readdirpSync.iterate(currPath, { hash: 'md5' })).toThrow(/not supported by readdirpSync/);
+  });
+});
+
 describe('various', () => {
   it('emits readable stream', () => {
     const stream = readdirp(currPath);